@@ -1,8 +1,9 @@
 const express = require('express');
 const axios = require('axios');
 const Joi = require('joi');
-const { loadWhitelist, saveWhitelist, loadUsers, saveUsers, logUserActivity } = require('./utils/whitelist');
+const { loadWhitelist, listWhitelist, addToWhitelist, updateWhitelistEntry, removeFromWhitelist, loadUsers, logUserActivity } = require('./utils/whitelist');
 const { UserSigner } = require('@multiversx/sdk-wallet');
+const logger = require('./utils/logger');
 
 const router = express.Router();
 const WEBHOOK_WHITELIST_URL = process.env.WEBHOOK_WHITELIST_URL || "";
@@ -34,50 +35,70 @@ const sendWebhookUpdate = async (type, payload, retries = 3) => {
                 headers: { 'Content-Type': 'application/json' },
             });
 
-            console.log(`Webhook update sent successfully: ${type}`);
+            logger.info('Webhook update sent successfully', { type });
             return;
         } catch (error) {
-            console.error(`Retrying webhook (${i + 1}/${retries}):`, error.response?.data?.message || error.message);
+            logger.warn('Retrying webhook', { type, attempt: i + 1, retries, error: error.response?.data?.message || error.message });
             if (i === retries - 1) throw error;
         }
     }
 };
 
-// Updated Joi Validation Schemas
+// Updated Joi Validation Schemas (whitelist entries are validated by utils/whitelist.js)
 const walletAddressSchema = Joi.string().pattern(/^erd[a-z0-9]{59}$/).required();
 
-const addToWhitelistSchema = Joi.object({
-    walletAddress: walletAddressSchema,
-    label: Joi.string().min(3).required(),
-    whitelistStart: Joi.date().iso().required(),
-});
-
 const removeFromWhitelistSchema = Joi.object({
     walletAddress: walletAddressSchema,
 });
 
-// Add wallet to whitelist
+// Add wallet to whitelist: { walletAddress, label, whitelistStart, whitelistEnd, tier, discountPercent, fixedUsdFee, routes }
 router.post('/addToWhitelist', checkAdminToken, async (req, res) => {
-    const { error } = addToWhitelistSchema.validate(req.body);
+    try {
+        const whitelist = await loadWhitelist();
+        if (whitelist.find(entry => entry.walletAddress === req.body.walletAddress)) {
+            return res.status(400).json({ error: 'Wallet address is already whitelisted.' });
+        }
+
+        let result;
+        try {
+            result = await addToWhitelist(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        await sendWebhookUpdate('addToWhitelist', result.entry);
+        res.json({ message: 'Wallet added to whitelist successfully.', entry: result.entry });
+    } catch (error) {
+        logger.error('Error adding to whitelist', { error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a whitelisted wallet: any of label, whitelistStart, whitelistEnd, tier, discountPercent, fixedUsdFee, routes
+router.post('/updateWhitelist', checkAdminToken, async (req, res) => {
+    const { error } = walletAddressSchema.validate(req.body.walletAddress);
     if (error) {
         return res.status(400).json({ error: error.details[0].message });
     }
 
     try {
-        const { walletAddress, label, whitelistStart } = req.body;
-        const whitelist = loadWhitelist();
-        if (whitelist.find(entry => entry.walletAddress === walletAddress)) {
-            return res.status(400).json({ error: 'Wallet address is already whitelisted.' });
+        const { walletAddress, ...changes } = req.body;
+        const whitelist = await loadWhitelist();
+        if (!whitelist.find(entry => entry.walletAddress === walletAddress)) {
+            return res.status(404).json({ error: 'Wallet address not found in whitelist.' });
         }
 
-        const newEntry = { walletAddress, label, whitelistStart };
-        whitelist.push(newEntry);
-        saveWhitelist(whitelist);
+        let result;
+        try {
+            result = await updateWhitelistEntry(walletAddress, changes);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
 
-        await sendWebhookUpdate('addToWhitelist', newEntry);
-        res.json({ message: 'Wallet added to whitelist successfully.' });
+        await sendWebhookUpdate('updateWhitelist', result.entry);
+        res.json({ message: 'Whitelist entry updated successfully.', entry: result.entry });
     } catch (error) {
-        console.error('Error adding to whitelist:', error.message);
+        logger.error('Error updating whitelist', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
@@ -91,46 +112,45 @@ router.post('/removeFromWhitelist', checkAdminToken, async (req, res) => {
 
     try {
         const { walletAddress } = req.body;
-        const whitelist = loadWhitelist();
-        const updatedWhitelist = whitelist.filter(entry => entry.walletAddress !== walletAddress);
-
-        if (whitelist.length === updatedWhitelist.length) {
+        const whitelist = await loadWhitelist();
+        if (!whitelist.find(entry => entry.walletAddress === walletAddress)) {
             return res.status(404).json({ error: 'Wallet address not found in whitelist.' });
         }
 
-        saveWhitelist(updatedWhitelist);
+        await removeFromWhitelist(walletAddress);
         await sendWebhookUpdate('removeFromWhitelist', { walletAddress });
         res.json({ message: 'Wallet removed from whitelist successfully.' });
     } catch (error) {
-        console.error('Error removing from whitelist:', error.message);
+        logger.error('Error removing from whitelist', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get current whitelist
-router.get('/getWhitelist', checkAdminToken, (req, res) => {
+// Get current whitelist, with the status of each entry (scheduled, active or expired)
+router.get('/getWhitelist', checkAdminToken, async (req, res) => {
     try {
-        const whitelist = loadWhitelist();
-        res.json(whitelist);
+        const whitelist = await listWhitelist();
+        const { status } = req.query;
+        res.json(status ? whitelist.filter(entry => entry.status === status) : whitelist);
     } catch (error) {
-        console.error('Error retrieving whitelist:', error.message);
+        logger.error('Error retrieving whitelist', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get users with duplicates allowed
-router.get('/getUsers', checkAdminToken, (req, res) => {
+router.get('/getUsers', checkAdminToken, async (req, res) => {
     try {
-        const users = loadUsers();
+        const users = await loadUsers();
         res.json(users);
     } catch (error) {
-        console.error('Error fetching users:', error.message);
+        logger.error('Error fetching users', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
 
 // Log user activity (manually if needed)
-router.post('/logUserActivity', checkAdminToken, (req, res) => {
+router.post('/logUserActivity', checkAdminToken, async (req, res) => {
     try {
         const { walletAddress } = req.body;
 
@@ -138,10 +158,10 @@ router.post('/logUserActivity', checkAdminToken, (req, res) => {
             return res.status(400).json({ error: 'Wallet address is required.' });
         }
 
-        const response = logUserActivity(walletAddress);
+        const response = await logUserActivity(walletAddress);
         res.json(response);
     } catch (error) {
-        console.error('Error logging user activity:', error.message);
+        logger.error('Error logging user activity', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
@@ -158,17 +178,14 @@ router.post('/authorize', async (req, res) => {
         const walletSigner = UserSigner.fromPem(walletPem);
         const walletAddress = walletSigner.getAddress().toString();
 
-        const users = loadUsers();
-        const newEntry = { walletAddress, timestamp: new Date().toISOString() };
-        users.push(newEntry);
-        saveUsers(users);
+        await logUserActivity(walletAddress);
 
         res.json({
             message: 'Authorization successful.',
             walletAddress,
         });
     } catch (error) {
-        console.error('Error during authorization:', error.message);
+        logger.error('Error during authorization', { error: error.message });
         res.status(500).json({ error: error.message });
     }
 });
@@ -0,0 +1,292 @@
+const BigNumber = require('bignumber.js');
+
+// Reward allocation strategies for distributions. Every amount is computed in base units of the reward
+// token, so what is audited is exactly what is sent:
+// - `flat`: `amount` per owner.
+// - `perToken`: `amount` per token held (or per unit of weight with a weighting).
+// - `proRata`: a fixed `pool` split by tokens held (or weight). The split is exact: every owner gets the floor
+//   of their share and the base units left over go, one each, to the largest fractional remainders.
+// A `weighting` makes some tokens count more than others, by nonce range, rarity rank or attributes.
+// `minPayout` drops owners below it and `maxPerOwner` caps an owner; for `proRata` what they free up is
+// split again among the others.
+const STRATEGIES = ['flat', 'perToken', 'proRata'];
+const WEIGHTINGS = ['nonceRanges', 'rarity', 'attributes'];
+
+const toPositive = (value, field) => {
+    const number = new BigNumber(value === null ? NaN : value);
+    if (!number.isFinite() || !number.isGreaterThan(0)) {
+        throw new Error(`${field} must be a positive number.`);
+    }
+    return number;
+};
+
+const toWeight = (value, field) => {
+    const number = new BigNumber(value === null ? NaN : value);
+    if (!number.isFinite() || number.isNegative()) {
+        throw new Error(`${field} must be a non-negative number.`);
+    }
+    return number;
+};
+
+// Validate a weighting and turn it into (holding, traits) => weight of one token
+const buildTokenWeight = (weighting) => {
+    if (!weighting || typeof weighting !== 'object' || !WEIGHTINGS.includes(weighting.by)) {
+        throw new Error(`allocation.weighting.by must be one of: ${WEIGHTINGS.join(', ')}.`);
+    }
+    const defaultWeight = weighting.defaultWeight === undefined ? new BigNumber(1) : toWeight(weighting.defaultWeight, 'allocation.weighting.defaultWeight');
+
+    if (weighting.by === 'nonceRanges') {
+        if (!Array.isArray(weighting.ranges) || weighting.ranges.length === 0) {
+            throw new Error('allocation.weighting.ranges must be a non-empty array of { from, to, weight }.');
+        }
+        const ranges = weighting.ranges.map(({ from, to, weight }, index) => {
+            if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+                throw new Error(`allocation.weighting.ranges[${index}] must have integer nonces with 1 <= from <= to.`);
+            }
+            return { from, to, weight: toWeight(weight, `allocation.weighting.ranges[${index}].weight`) };
+        });
+        // The first range containing the nonce applies
+        return ({ nonce }) => {
+            const range = ranges.find(item => nonce >= item.from && nonce <= item.to);
+            return range ? range.weight : defaultWeight;
+        };
+    }
+
+    if (weighting.by === 'rarity') {
+        if (!Array.isArray(weighting.tiers) || weighting.tiers.length === 0) {
+            throw new Error('allocation.weighting.tiers must be a non-empty array of { maxRank, weight }.');
+        }
+        const tiers = weighting.tiers.map(({ maxRank, weight }, index) => {
+            if (!Number.isInteger(maxRank) || maxRank < 1) {
+                throw new Error(`allocation.weighting.tiers[${index}].maxRank must be a positive integer.`);
+            }
+            return { maxRank, weight: toWeight(weight, `allocation.weighting.tiers[${index}].weight`) };
+        }).sort((a, b) => a.maxRank - b.maxRank);
+        // The narrowest tier containing the rank applies; unranked tokens get the default weight
+        return ({ nonce }, traits) => {
+            const rank = traits.has(nonce) ? traits.get(nonce).rank : null;
+            const tier = rank ? tiers.find(item => rank <= item.maxRank) : null;
+            return tier ? tier.weight : defaultWeight;
+        };
+    }
+
+    if (!Array.isArray(weighting.rules) || weighting.rules.length === 0) {
+        throw new Error('allocation.weighting.rules must be a non-empty array of { trait, value, weight }.');
+    }
+    const rules = weighting.rules.map(({ trait, value, weight }, index) => {
+        if (typeof trait !== 'string' || value === undefined) {
+            throw new Error(`allocation.weighting.rules[${index}] must have a trait and a value.`);
+        }
+        return { trait, value: String(value), weight: toWeight(weight, `allocation.weighting.rules[${index}].weight`) };
+    });
+    // The highest weight among the matching rules applies
+    return ({ nonce }, traits) => {
+        const attributes = traits.has(nonce) ? traits.get(nonce).attributes : [];
+        const weights = rules
+            .filter(rule => attributes.some(attribute => attribute.trait_type === rule.trait && String(attribute.value) === rule.value))
+            .map(rule => rule.weight);
+        return weights.length > 0 ? BigNumber.max(...weights) : defaultWeight;
+    };
+};
+
+/**
+ * Reads the allocation of a distribution request. Without `allocation`, the legacy fields apply:
+ * `baseAmount` per owner, or per token held with `multiply: "yes"`.
+ * @param {object} body - The request body.
+ * @returns {object} - The validated allocation: { strategy, amount | pool, weighting, minPayout, maxPerOwner }.
+ * @throws {Error} - If the allocation is invalid.
+ */
+const parseAllocation = (body) => {
+    if (body.allocation === undefined) {
+        if (!body.baseAmount) {
+            throw new Error('Base amount (or an allocation) is required.');
+        }
+        return {
+            strategy: body.multiply === 'yes' ? 'perToken' : 'flat',
+            amount: toPositive(body.baseAmount, 'baseAmount').toFixed(),
+            weighting: null,
+            minPayout: null,
+            maxPerOwner: null,
+        };
+    }
+
+    const { strategy, amount, pool, weighting, minPayout, maxPerOwner } = body.allocation || {};
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`allocation.strategy must be one of: ${STRATEGIES.join(', ')}.`);
+    }
+    const allocation = { strategy, weighting: weighting || null, minPayout: null, maxPerOwner: null };
+    if (strategy === 'proRata') {
+        allocation.pool = toPositive(pool, 'allocation.pool').toFixed();
+    } else {
+        allocation.amount = toPositive(amount, 'allocation.amount').toFixed();
+    }
+    if (weighting) {
+        if (strategy === 'flat') {
+            throw new Error('A flat allocation pays every owner the same; use perToken or proRata with a weighting.');
+        }
+        buildTokenWeight(weighting);
+    }
+    if (minPayout !== undefined && minPayout !== null) {
+        allocation.minPayout = toPositive(minPayout, 'allocation.minPayout').toFixed();
+    }
+    if (maxPerOwner !== undefined && maxPerOwner !== null) {
+        allocation.maxPerOwner = toPositive(maxPerOwner, 'allocation.maxPerOwner').toFixed();
+    }
+    if (allocation.minPayout && allocation.maxPerOwner && new BigNumber(allocation.minPayout).isGreaterThan(allocation.maxPerOwner)) {
+        throw new Error('allocation.minPayout is greater than allocation.maxPerOwner.');
+    }
+    return allocation;
+};
+
+/**
+ * Tells whether an allocation weights tokens by rarity or attributes, which needs the collection's NFT details.
+ * @param {object} allocation - The allocation from parseAllocation.
+ * @returns {boolean} - True for rarity and attribute weightings.
+ */
+const needsTraits = (allocation) => Boolean(allocation.weighting && ['rarity', 'attributes'].includes(allocation.weighting.by));
+
+// Split `pool` base units among entries by weight. Exact: floors, then one base unit per largest remainder.
+const splitPool = (pool, entries) => {
+    const totalWeight = entries.reduce((sum, entry) => sum.plus(entry.weight), new BigNumber(0));
+    if (totalWeight.isZero()) {
+        return entries.map(() => new BigNumber(0));
+    }
+
+    const parts = entries.map((entry, index) => {
+        const numerator = pool.multipliedBy(entry.weight);
+        return { index, share: numerator.dividedToIntegerBy(totalWeight), remainder: numerator.modulo(totalWeight), weight: entry.weight };
+    });
+    let leftover = pool.minus(parts.reduce((sum, part) => sum.plus(part.share), new BigNumber(0)));
+    [...parts]
+        .sort((a, b) => b.remainder.comparedTo(a.remainder) || b.weight.comparedTo(a.weight) || a.index - b.index)
+        .forEach(part => {
+            if (leftover.isGreaterThan(0)) {
+                part.share = part.share.plus(1);
+                leftover = leftover.minus(1);
+            }
+        });
+    return parts.map(part => part.share);
+};
+
+// Settle a pro-rata split: capped owners get their cap, owners below the minimum are dropped, and the
+// rest of the pool is split again among the others until nothing changes. Every re-split settles at least
+// one more owner, so this ends.
+const allocateProRata = (entries, pool, { cap, min }) => {
+    let active = entries.filter(entry => entry.status === 'paid');
+    let remaining = pool;
+
+    while (active.length > 0) {
+        const shares = splitPool(remaining, active);
+        active.forEach((entry, index) => {
+            entry.base = shares[index];
+        });
+
+        const capped = cap ? active.filter(entry => entry.base.isGreaterThan(cap)) : [];
+        if (capped.length > 0) {
+            capped.forEach(entry => {
+                Object.assign(entry, { base: cap, status: 'capped' });
+                remaining = remaining.minus(cap);
+            });
+            active = active.filter(entry => entry.status === 'paid');
+            continue;
+        }
+
+        const below = min ? active.filter(entry => entry.base.isLessThan(min)) : [];
+        if (below.length > 0) {
+            below.forEach(entry => Object.assign(entry, { base: new BigNumber(0), status: 'belowMinimum' }));
+            active = active.filter(entry => entry.status === 'paid');
+            continue;
+        }
+        return;
+    }
+};
+
+/**
+ * Computes what every owner receives.
+ * @param {Array<object>} holders - { owner, tokensCount, nonces } per owner (nonces are needed for weightings).
+ * @param {object} allocation - The allocation from parseAllocation.
+ * @param {object} context - { decimals (of the reward token), traits (Map nonce -> { rank, attributes }, for rarity and attribute weightings) }.
+ * @returns {object} - The audit: the allocation, decimals, totals and one entry per owner
+ * ({ owner, tokensCount, weight, amount, baseAmount, status: paid, capped, belowMinimum or zeroWeight }).
+ * @throws {Error} - If the holders do not fit the allocation.
+ */
+const allocate = (holders, allocation, { decimals, traits = new Map() }) => {
+    const toBase = (value) => new BigNumber(value).shiftedBy(decimals);
+    const tokenWeight = allocation.weighting ? buildTokenWeight(allocation.weighting) : null;
+    const cap = allocation.maxPerOwner ? toBase(allocation.maxPerOwner).integerValue(BigNumber.ROUND_FLOOR) : null;
+    const min = allocation.minPayout ? toBase(allocation.minPayout) : null;
+
+    const entries = holders.map((holder, index) => {
+        const tokensCount = new BigNumber(holder.tokensCount);
+        if (allocation.strategy !== 'flat' && (!tokensCount.isFinite() || tokensCount.isNegative())) {
+            throw new Error(`The tokensCount of owner ${index + 1} (${holder.owner}) must be a non-negative number.`);
+        }
+        let weight = allocation.strategy === 'flat' ? new BigNumber(1) : tokensCount;
+        if (tokenWeight) {
+            if (!Array.isArray(holder.nonces)) {
+                throw new Error('Weighting by nonce range, rarity or attributes needs a holder snapshot (snapshotId or collection).');
+            }
+            weight = holder.nonces.reduce((sum, holding) => sum.plus(tokenWeight(holding, traits).multipliedBy(holding.balance)), new BigNumber(0));
+        }
+        return { owner: holder.owner, tokensCount: holder.tokensCount, weight, base: new BigNumber(0), status: 'paid' };
+    });
+
+    if (allocation.strategy !== 'flat') {
+        entries.filter(entry => entry.weight.isZero()).forEach(entry => {
+            entry.status = 'zeroWeight';
+        });
+    }
+
+    let pool = null;
+    if (allocation.strategy === 'proRata') {
+        pool = toBase(allocation.pool);
+        if (!pool.isInteger()) {
+            throw new Error(`allocation.pool has more than ${decimals} decimals.`);
+        }
+        allocateProRata(entries, pool, { cap, min });
+    } else {
+        const unit = toBase(allocation.amount);
+        entries.filter(entry => entry.status === 'paid').forEach(entry => {
+            const base = allocation.strategy === 'flat' ? unit : unit.multipliedBy(entry.weight);
+            entry.base = base.integerValue(BigNumber.ROUND_FLOOR);
+            if (cap && entry.base.isGreaterThan(cap)) {
+                Object.assign(entry, { base: cap, status: 'capped' });
+            } else if ((min && entry.base.isLessThan(min)) || entry.base.isZero()) {
+                Object.assign(entry, { base: new BigNumber(0), status: 'belowMinimum' });
+            }
+        });
+    }
+
+    const allocated = entries.reduce((sum, entry) => sum.plus(entry.base), new BigNumber(0));
+    const countStatus = (status) => entries.filter(entry => entry.status === status).length;
+    return {
+        ...allocation,
+        decimals,
+        totals: {
+            owners: entries.length,
+            recipients: entries.filter(entry => entry.base.isGreaterThan(0)).length,
+            capped: countStatus('capped'),
+            belowMinimum: countStatus('belowMinimum'),
+            zeroWeight: countStatus('zeroWeight'),
+            allocated: allocated.shiftedBy(-decimals).toFixed(),
+            allocatedBase: allocated.toFixed(),
+            unallocated: pool ? pool.minus(allocated).shiftedBy(-decimals).toFixed() : null,
+        },
+        owners: entries.map(({ owner, tokensCount, weight, base, status }) => ({
+            owner,
+            tokensCount,
+            weight: weight.toFixed(),
+            amount: base.shiftedBy(-decimals).toFixed(),
+            baseAmount: base.toFixed(),
+            status,
+        })),
+    };
+};
+
+module.exports = {
+    STRATEGIES,
+    WEIGHTINGS,
+    parseAllocation,
+    needsTraits,
+    allocate,
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateLimits } = require('./rateLimits');
+
+// Per-client API keys. Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is
+// created or rotated. Every key carries the scopes (routes) it may call and, optionally, the wallets it may sign with
+// and its own rate limits and quotas (see utils/rateLimits.js).
+const apiKeysFilePath = process.env.API_KEYS_FILE_PATH || path.join(__dirname, '..', 'api-keys.json');
+
+const SCOPES = [
+    'transfer:egld',
+    'transfer:esdt',
+    'transfer:metaEsdt',
+    'transfer:nft',
+    'transfer:sft',
+    'transfer:multi',
+    'transfer:bulk',
+    'mint',
+    'distribute',
+    'authorize',
+    'vault',
+    'jobs:read',
+    'distributions:read',
+    'networks:read',
+    'stream',
+    'credits',
+    'snapshots',
+];
+const ALL_SCOPES = '*';
+// Owner of the legacy SECURE_TOKEN, and of records stored before owners were recorded
+const LEGACY_OWNER = 'legacy';
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+const generateKey = () => `mvx_${crypto.randomBytes(32).toString('base64url')}`;
+
+const loadKeys = () => {
+    if (!fs.existsSync(apiKeysFilePath)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(apiKeysFilePath, 'utf8'));
+};
+
+const saveKeys = (entries) => {
+    fs.writeFileSync(apiKeysFilePath, JSON.stringify(entries, null, 2), { mode: 0o600 });
+};
+
+// Public view of an entry: never exposes the key hash
+const toSummary = ({ hash, ...entry }) => entry;
+
+const validateSettings = ({ scopes, wallets, expiresAt, limits }) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new Error(`scopes must be a non-empty array. Available scopes: ${ALL_SCOPES}, ${SCOPES.join(', ')}.`);
+    }
+    const unknown = scopes.filter(scope => scope !== ALL_SCOPES && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown scopes: ${unknown.join(', ')}.`);
+    }
+    if (wallets !== undefined && wallets !== null && (!Array.isArray(wallets) || wallets.some(wallet => typeof wallet !== 'string' || !wallet.startsWith('erd1')))) {
+        throw new Error('wallets must be an array of erd1 addresses.');
+    }
+    if (expiresAt !== undefined && expiresAt !== null && isNaN(Date.parse(expiresAt))) {
+        throw new Error('expiresAt must be an ISO date.');
+    }
+    validateLimits(limits);
+};
+
+/**
+ * Creates an API key.
+ * @param {object} settings - { label, owner, scopes, wallets, expiresAt, limits }; wallets, expiresAt and limits are optional.
+ * @returns {{apiKey: string, key: object}} - The plain key (only returned here) and the entry summary.
+ */
+const createKey = ({ label, owner, scopes, wallets, expiresAt, limits }) => {
+    if (!label || !owner) {
+        throw new Error('label and owner are required.');
+    }
+    validateSettings({ scopes, wallets, expiresAt, limits });
+
+    const apiKey = generateKey();
+    const entry = {
+        keyId: `key_${crypto.randomBytes(8).toString('hex')}`,
+        label,
+        owner,
+        scopes,
+        wallets: wallets && wallets.length > 0 ? wallets : null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        limits: limits || null,
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        revokedAt: null,
+        hash: hashKey(apiKey),
+    };
+
+    const entries = loadKeys();
+    entries.push(entry);
+    saveKeys(entries);
+    return { apiKey, key: toSummary(entry) };
+};
+
+/**
+ * Lists the API keys (without their hashes).
+ * @returns {Array<object>} - The entry summaries.
+ */
+const listKeys = () => loadKeys().map(toSummary);
+
+/**
+ * Replaces the secret of a key, keeping its keyId and settings. The previous key stops working immediately.
+ * @param {string} keyId - The key ID.
+ * @returns {{apiKey: string, key: object}} - The new plain key and the entry summary.
+ */
+const rotateKey = (keyId) => {
+    const entries = loadKeys();
+    const entry = entries.find(item => item.keyId === keyId);
+    if (!entry) {
+        throw new Error(`API key ${keyId} not found.`);
+    }
+    if (entry.revokedAt) {
+        throw new Error(`API key ${keyId} is revoked.`);
+    }
+
+    const apiKey = generateKey();
+    Object.assign(entry, { hash: hashKey(apiKey), rotatedAt: new Date().toISOString() });
+    saveKeys(entries);
+    return { apiKey, key: toSummary(entry) };
+};
+
+/**
+ * Replaces the rate limit and quota overrides of a key. Unset fields fall back to the server defaults.
+ * @param {string} keyId - The key ID.
+ * @param {object|null} limits - { requestsPerMinute, dailyTransactions, dailyRecipients, dailyAmounts }, or null to clear.
+ * @returns {object} - The entry summary.
+ */
+const setKeyLimits = (keyId, limits) => {
+    validateLimits(limits);
+    const entries = loadKeys();
+    const entry = entries.find(item => item.keyId === keyId);
+    if (!entry) {
+        throw new Error(`API key ${keyId} not found.`);
+    }
+
+    entry.limits = limits || null;
+    saveKeys(entries);
+    return toSummary(entry);
+};
+
+/**
+ * Revokes a key. The entry is kept so activity logs can still be attributed.
+ * @param {string} keyId - The key ID.
+ * @returns {object} - The entry summary.
+ */
+const revokeKey = (keyId) => {
+    const entries = loadKeys();
+    const entry = entries.find(item => item.keyId === keyId);
+    if (!entry) {
+        throw new Error(`API key ${keyId} not found.`);
+    }
+
+    entry.revokedAt = entry.revokedAt || new Date().toISOString();
+    saveKeys(entries);
+    return toSummary(entry);
+};
+
+/**
+ * Resolves a presented key to its entry.
+ * @param {string} apiKey - The key sent by the client.
+ * @returns {object|null} - The entry summary, or null if the key is unknown, revoked or expired.
+ */
+const authenticateKey = (apiKey) => {
+    if (!apiKey) {
+        return null;
+    }
+
+    const hash = hashKey(apiKey);
+    const entry = loadKeys().find(item => item.hash === hash);
+    if (!entry || entry.revokedAt || (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now())) {
+        return null;
+    }
+    return toSummary(entry);
+};
+
+/**
+ * Tells whether a key grants a scope.
+ * @param {object} key - The entry summary.
+ * @param {string} scope - The scope.
+ * @returns {boolean} - True if the key has the scope (or every scope).
+ */
+const hasScope = (key, scope) => key.scopes.includes(ALL_SCOPES) || key.scopes.includes(scope);
+
+/**
+ * Tells whether a key may sign with a wallet.
+ * @param {object} key - The entry summary.
+ * @param {string} walletAddress - The wallet address.
+ * @returns {boolean} - True if the key is not bound to wallets, or is bound to this one.
+ */
+const allowsWallet = (key, walletAddress) => !key.wallets || key.wallets.includes(walletAddress);
+
+/**
+ * Tells whether a stored record (job, distribution run, snapshot) belongs to an owner. Records stored
+ * before owners were recorded belong to the legacy SECURE_TOKEN owner.
+ * @param {object} record - The record, with the `owner` of the key that created it.
+ * @param {string} [owner] - The caller's owner; undefined (server-side use) matches every record.
+ * @returns {boolean} - True if the record belongs to the owner.
+ */
+const ownsRecord = (record, owner) => owner === undefined || (record.owner || LEGACY_OWNER) === owner;
+
+module.exports = {
+    SCOPES,
+    createKey,
+    listKeys,
+    rotateKey,
+    setKeyLimits,
+    revokeKey,
+    authenticateKey,
+    hasScope,
+    allowsWallet,
+    ownsRecord,
+};
@@ -0,0 +1,217 @@
+const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const { Address } = require('@multiversx/sdk-core');
+
+// Bulk transfer batches: rows of { recipient, token, nonce, amount, memo } given as a JSON array (`rows`)
+// or as CSV text (`csv`, with a header line). Every row is validated, and its token looked up, before
+// anything is sent. A row is an EGLD transfer (token "EGLD"), a fungible ESDT transfer (no nonce) or an
+// NFT / SFT / Meta-ESDT transfer (token collection + nonce).
+const MAX_ROWS = Number(process.env.BULK_TRANSFER_MAX_ROWS) || 1000;
+const MAX_MEMO_LENGTH = 200;
+const CSV_COLUMNS = ['recipient', 'token', 'nonce', 'amount', 'memo'];
+const TOKEN_PATTERN = /^[A-Za-z0-9]{3,10}-[0-9a-f]{6}$/;
+
+// Split CSV text into rows of cells. Handles quoted cells, escaped quotes ("") and CRLF line endings.
+const parseCsvLines = (text) => {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            cells.push(cell);
+            lines.push(cells);
+            cells = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted value.');
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        lines.push(cells);
+    }
+    return lines.filter(line => line.some(value => value.trim() !== ''));
+};
+
+/**
+ * Reads the rows of a bulk transfer request.
+ * @param {object} body - The request body, with `rows` (array) or `csv` (text with a header line).
+ * @returns {Array<object>} - { row (1-based), recipient, token, nonce, amount, memo } per row, as given.
+ * @throws {Error} - If neither is given, the CSV header is invalid or there are too many rows.
+ */
+const readRows = (body) => {
+    let rows;
+    if (Array.isArray(body.rows)) {
+        rows = body.rows.map(row => (row && typeof row === 'object' ? row : {}));
+    } else if (typeof body.csv === 'string') {
+        const [header, ...lines] = parseCsvLines(body.csv);
+        const columns = (header || []).map(column => column.trim().toLowerCase());
+        const missing = ['recipient', 'token', 'amount'].filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`CSV header must name the columns ${CSV_COLUMNS.join(', ')} (missing: ${missing.join(', ')}).`);
+        }
+        rows = lines.map(line => Object.fromEntries(columns
+            .map((column, index) => [column, (line[index] || '').trim()])
+            .filter(([column]) => CSV_COLUMNS.includes(column))));
+    } else {
+        throw new Error('Provide the batch as a `rows` array or as `csv` text.');
+    }
+
+    if (rows.length === 0) {
+        throw new Error('The batch has no rows.');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw new Error(`The batch has ${rows.length} rows. A maximum of ${MAX_ROWS} is allowed.`);
+    }
+    return rows.map(({ recipient, token, nonce, amount, memo }, index) => ({ row: index + 1, recipient, token, nonce, amount, memo }));
+};
+
+// Token metadata (kind and decimals), looked up once per token and batch
+const lookupToken = async (token, nonce, network, cache) => {
+    const key = nonce > 0 ? `${token}#collection` : token;
+    if (!cache.has(key)) {
+        cache.set(key, (async () => {
+            if (nonce > 0) {
+                const { data } = await axios.get(`${network.apiUrl}/collections/${token}`, { timeout: 10000 });
+                const kinds = { NonFungibleESDT: 'nft', SemiFungibleESDT: 'sft', MetaESDT: 'metaEsdt' };
+                if (!kinds[data.type]) {
+                    throw new Error(`${token} is not an NFT, SFT or Meta-ESDT collection.`);
+                }
+                return { kind: kinds[data.type], decimals: data.type === 'MetaESDT' ? data.decimals || 0 : 0 };
+            }
+            const { data } = await axios.get(`${network.apiUrl}/tokens/${token}`, { timeout: 10000 });
+            return { kind: 'esdt', decimals: data.decimals || 0 };
+        })().catch(error => {
+            throw new Error(error.response && error.response.status === 404 ? `Unknown token ${token}.` : `Could not look up ${token}: ${error.message}`);
+        }));
+    }
+    return cache.get(key);
+};
+
+// Check the fields of one row; returns the problems found
+const checkRow = ({ recipient, token, nonce, amount, memo }) => {
+    const errors = [];
+    if (typeof recipient !== 'string' || !Address.isValid(recipient)) {
+        errors.push({ field: 'recipient', error: 'recipient must be a valid erd1 address.' });
+    }
+    if (typeof token !== 'string' || (token !== 'EGLD' && !TOKEN_PATTERN.test(token))) {
+        errors.push({ field: 'token', error: 'token must be "EGLD" or a token identifier such as REWARD-cf6eac.' });
+    }
+    const nonceValue = nonce === undefined || nonce === null || nonce === '' ? 0 : Number(nonce);
+    if (!Number.isInteger(nonceValue) || nonceValue < 0) {
+        errors.push({ field: 'nonce', error: 'nonce must be a non-negative integer.' });
+    } else if (token === 'EGLD' && nonceValue > 0) {
+        errors.push({ field: 'nonce', error: 'EGLD transfers have no nonce.' });
+    }
+    const amountValue = new BigNumber(amount === undefined || amount === null ? NaN : amount);
+    if (!amountValue.isFinite() || !amountValue.isGreaterThan(0)) {
+        errors.push({ field: 'amount', error: 'amount must be a positive number.' });
+    }
+    if (memo !== undefined && memo !== null && (typeof memo !== 'string' || memo.length > MAX_MEMO_LENGTH)) {
+        errors.push({ field: 'memo', error: `memo must be text of at most ${MAX_MEMO_LENGTH} characters.` });
+    } else if (memo && nonceValue > 0) {
+        // ESDTNFTTransfer reads the argument after the receiver as a function to call on it
+        errors.push({ field: 'memo', error: 'NFT, SFT and Meta-ESDT transfers (nonce > 0) cannot carry a memo.' });
+    }
+    return { errors, nonce: nonceValue, amount: amountValue };
+};
+
+/**
+ * Validates every row and resolves its transfer kind and base-unit amount.
+ * @param {Array<object>} rows - The rows from readRows.
+ * @param {object} network - The network profile (for token lookups).
+ * @returns {Promise<object>} - { rows, errors }: rows gain kind (egld, esdt, nft, sft, metaEsdt), nonce, decimals
+ * and baseAmount; errors lists { row, field, error } for every problem.
+ */
+const validateRows = async (rows, network) => {
+    const tokenCache = new Map();
+    const errors = [];
+
+    const validated = await Promise.all(rows.map(async (row) => {
+        const checked = checkRow(row);
+        const rowErrors = checked.errors.map(error => ({ row: row.row, ...error }));
+        let kind = null;
+        let decimals = 0;
+        let baseAmount = null;
+
+        if (rowErrors.length === 0) {
+            try {
+                ({ kind, decimals } = row.token === 'EGLD'
+                    ? { kind: 'egld', decimals: 18 }
+                    : await lookupToken(row.token, checked.nonce, network, tokenCache));
+                const scaled = checked.amount.shiftedBy(decimals);
+                if (!scaled.isInteger()) {
+                    rowErrors.push({ row: row.row, field: 'amount', error: `amount has more than ${decimals} decimals.` });
+                } else if (kind === 'nft' && !checked.amount.isEqualTo(1)) {
+                    rowErrors.push({ row: row.row, field: 'amount', error: 'NFT transfers must have an amount of 1.' });
+                }
+                baseAmount = scaled.toFixed(0);
+            } catch (error) {
+                rowErrors.push({ row: row.row, field: 'token', error: error.message });
+            }
+        }
+
+        errors.push(...rowErrors);
+        return { ...row, nonce: checked.nonce, memo: row.memo || null, kind, decimals, baseAmount };
+    }));
+
+    return { rows: validated, errors: errors.sort((a, b) => a.row - b.row) };
+};
+
+/**
+ * What a batch consumes from the daily quotas (see utils/rateLimits.js). Invalid batches count as one request.
+ * @param {object} body - The request body.
+ * @returns {object} - { transactions, recipients, items, amounts }.
+ */
+const summarizeUsage = (body) => {
+    let rows;
+    try {
+        rows = readRows(body);
+    } catch (error) {
+        return { transactions: 1, recipients: 1, items: 1, amounts: {} };
+    }
+
+    const amounts = {};
+    rows.forEach(({ token, amount }) => {
+        const value = new BigNumber(amount);
+        if (typeof token === 'string' && value.isFinite()) {
+            amounts[token] = value.plus(amounts[token] || 0).toFixed();
+        }
+    });
+    return {
+        transactions: rows.length,
+        recipients: new Set(rows.map(row => row.recipient)).size,
+        items: rows.length,
+        amounts,
+    };
+};
+
+module.exports = {
+    MAX_ROWS,
+    readRows,
+    validateRows,
+    summarizeUsage,
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const logger = require('./logger');
+const storage = require('./storage');
+const { getNetwork } = require('./network');
+const { fetchTreasuryTransfers } = require('./feeLedger');
+
+// Prepaid usage credits. A wallet tops up by sending a fee token to the treasury with a reference
+// (`credit:<reference>` in the transaction data); the watcher credits the wallet that requested the
+// reference once the transfer is successful. Paid routes then debit the balance instead of sending a fee
+// transaction. Balances are kept per network, wallet and token, in base units:
+// - `credits`: one record per `<network>:<walletAddress>` with { balances: { token: { amount, decimals } } }.
+// - `creditTopups`: one record per reference (pending, credited or expired).
+// - `creditMovements`: every top-up, debit, refund and adjustment with the balance after it.
+const TOPUP_TTL_MS = (Number(process.env.CREDIT_TOPUP_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const WATCH_INTERVAL_MS = (Number(process.env.CREDIT_TOPUP_POLL_SECONDS) || 30) * 1000;
+// A balance covering fewer calls than this (at the current fee) is reported as low
+const LOW_BALANCE_CALLS = Number(process.env.CREDIT_LOW_BALANCE_CALLS) || 10;
+const MOVEMENT_TYPES = ['topup', 'debit', 'refund', 'adjustment'];
+const REFERENCE_PATTERN = /credit:([0-9a-f]{16})/;
+
+const accountId = (network, walletAddress) => `${network}:${walletAddress}`;
+
+const toDecimal = (amount, decimals) => new BigNumber(amount).shiftedBy(-decimals).toFixed();
+
+// Public view of an account: balances in base units and in token units
+const formatAccount = (network, walletAddress, account) => ({
+    network,
+    walletAddress,
+    balances: Object.fromEntries(Object.entries(account ? account.balances : {}).map(([token, { amount, decimals }]) => [
+        token,
+        { amount, decimals, amountDecimal: toDecimal(amount, decimals) },
+    ])),
+    updatedAt: account ? account.updatedAt : null,
+});
+
+/**
+ * Returns the credit balances of a wallet.
+ * @param {string} network - The network name.
+ * @param {string} walletAddress - The wallet address.
+ * @returns {object} - { network, walletAddress, balances: { token: { amount, decimals, amountDecimal } }, updatedAt }.
+ */
+const getBalance = (network, walletAddress) => formatAccount(network, walletAddress, storage.get('credits', accountId(network, walletAddress)));
+
+// Apply a signed change to a balance and record the movement. Storage calls are synchronous, so the
+// read, the check and the write of one movement cannot interleave with another request, and they run
+// in one transaction so the balance is never changed without its movement.
+const applyMovement = ({ network, walletAddress, token, decimals, amount, type, allowNegative = false, ...details }) => storage.transaction(() => {
+    if (!MOVEMENT_TYPES.includes(type)) {
+        throw new Error(`Invalid credit movement type: ${type}`);
+    }
+    const id = accountId(network, walletAddress);
+    const account = storage.get('credits', id) || { id, network, walletAddress, balances: {} };
+    const current = account.balances[token] || { amount: '0', decimals };
+    const balance = new BigNumber(current.amount).plus(amount);
+    if (balance.isNegative() && !allowNegative) {
+        return null;
+    }
+
+    account.balances[token] = { amount: balance.toFixed(), decimals: current.decimals };
+    account.updatedAt = new Date().toISOString();
+    storage.put('credits', account);
+
+    return storage.insert('creditMovements', {
+        network,
+        walletAddress,
+        token,
+        type,
+        amount: new BigNumber(amount).toFixed(),
+        amountDecimal: toDecimal(amount, current.decimals),
+        balanceAfter: balance.toFixed(),
+        ...details,
+        createdAt: account.updatedAt,
+    });
+});
+
+/**
+ * Debits a fee from a wallet's credits, if the balance covers it.
+ * @param {object} debit - { network, walletAddress, token, decimals, amount (base units), route, usdFee, tokenPrice,
+ * priceSource, requestId, apiKeyId }; the fee details are kept on the movement for the usage fee ledger.
+ * @returns {object|null} - { movement, balance, lowBalance, warning }, or null if the balance is too low.
+ */
+const debitCredits = ({ amount, ...debit }) => {
+    const movement = applyMovement({ ...debit, amount: new BigNumber(amount).negated(), type: 'debit' });
+    if (!movement) {
+        return null;
+    }
+
+    const remainingCalls = new BigNumber(movement.balanceAfter).dividedToIntegerBy(amount).toNumber();
+    const lowBalance = remainingCalls < LOW_BALANCE_CALLS;
+    return {
+        movement,
+        balance: toDecimal(movement.balanceAfter, debit.decimals),
+        lowBalance,
+        warning: lowBalance
+            ? `Credit balance covers ${remainingCalls} more call(s) at this fee. Top up with POST /credits/topups.`
+            : null,
+    };
+};
+
+/**
+ * Adds credits to a wallet (top-up, refund or admin adjustment; adjustments may be negative).
+ * @param {object} movement - { network, walletAddress, token, decimals, amount (base units), type, ...details }.
+ * @returns {object} - The recorded movement.
+ */
+const addCredits = (movement) => applyMovement({ ...movement, allowNegative: movement.type === 'adjustment' });
+
+/**
+ * Tells whether a wallet has a credit balance in a token (even too low for the next fee).
+ * @param {string} network - The network name.
+ * @param {string} walletAddress - The wallet address.
+ * @param {string} token - The fee token.
+ * @returns {boolean} - True if the wallet ever topped up this token.
+ */
+const hasCreditAccount = (network, walletAddress, token) => {
+    const account = storage.get('credits', accountId(network, walletAddress));
+    return Boolean(account && account.balances[token]);
+};
+
+// --------------- Top-ups --------------- //
+
+/**
+ * Issues a top-up reference for a wallet. Any successful transfer of `token` to the treasury carrying
+ * `credit:<reference>` in its data is credited to that wallet.
+ * @param {object} topup - { network, walletAddress, token, decimals }.
+ * @returns {object} - The pending top-up, with the `data` to put in the transfer.
+ */
+const createTopup = ({ network, walletAddress, token, decimals }) => {
+    const now = Date.now();
+    const reference = crypto.randomBytes(8).toString('hex');
+    return storage.insert('creditTopups', {
+        reference,
+        network,
+        walletAddress,
+        token,
+        decimals,
+        data: `credit:${reference}`,
+        status: 'pending',
+        txHash: null,
+        amount: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TOPUP_TTL_MS).toISOString(),
+        creditedAt: null,
+    });
+};
+
+/**
+ * Records the hash of the transfer sent for a top-up (when the server sent it).
+ * @param {string} reference - The top-up reference.
+ * @param {string} txHash - The transfer hash.
+ * @returns {object|null} - The updated top-up.
+ */
+const attachTopupTransaction = (reference, txHash) => storage.update('creditTopups', reference, { txHash });
+
+/**
+ * Lists the top-ups of a wallet (or all of them), newest first.
+ * @param {object} filters - { network, walletAddress, status }; all optional.
+ * @returns {Array<object>} - The top-ups.
+ */
+const listTopups = ({ network, walletAddress, status } = {}) => storage.list('creditTopups', { network, walletAddress, status }).reverse();
+
+/**
+ * Lists the credit movements of a wallet, newest first.
+ * @param {string} network - The network name.
+ * @param {string} walletAddress - The wallet address.
+ * @param {number} [limit] - The maximum number of movements.
+ * @returns {Array<object>} - The movements.
+ */
+const listMovements = (network, walletAddress, limit = 100) => storage.list('creditMovements', { network, walletAddress })
+    .reverse()
+    .slice(0, limit);
+
+// The top-up reference in a transfer's data (plain for EGLD, an extra ESDTTransfer argument otherwise)
+const extractReference = (data) => {
+    const [functionName, ...args] = data.split('@');
+    const candidates = functionName === 'ESDTTransfer'
+        ? args.slice(2).map(arg => Buffer.from(arg, 'hex').toString())
+        : [data];
+    const match = candidates.map(candidate => REFERENCE_PATTERN.exec(candidate)).find(Boolean);
+    return match ? match[1] : null;
+};
+
+/**
+ * Credits the pending top-ups of a network whose transfer reached the treasury, and expires the old ones.
+ * @param {object} network - The network profile.
+ * @param {string} treasury - The treasury address.
+ * @returns {Promise<Array<object>>} - The top-ups credited by this pass.
+ */
+const processTopups = async (network, treasury) => {
+    const now = Date.now();
+    const pending = listTopups({ network: network.name, status: 'pending' });
+    pending.filter(topup => Date.parse(topup.expiresAt) <= now).forEach(topup => {
+        storage.update('creditTopups', topup.reference, { status: 'expired' });
+    });
+
+    const open = pending.filter(topup => Date.parse(topup.expiresAt) > now);
+    const credited = [];
+    for (const token of [...new Set(open.map(topup => topup.token))]) {
+        const topups = open.filter(topup => topup.token === token);
+        const from = Math.min(...topups.map(topup => Date.parse(topup.createdAt)));
+        const transfers = await fetchTreasuryTransfers(network, treasury, token, { from: from - 60 * 1000, to: null });
+
+        transfers.forEach(transfer => {
+            const reference = extractReference(transfer.data || '');
+            const topup = reference && topups.find(item => item.reference === reference);
+            // Re-read the record so a top-up is never credited twice
+            if (!topup || storage.get('creditTopups', reference).status !== 'pending') {
+                return;
+            }
+            // Marked credited and credited together, or not at all
+            storage.transaction(() => {
+                storage.update('creditTopups', reference, {
+                    status: 'credited',
+                    txHash: transfer.txHash,
+                    sender: transfer.sender,
+                    amount: transfer.amount,
+                    creditedAt: new Date().toISOString(),
+                });
+                addCredits({
+                    network: network.name,
+                    walletAddress: topup.walletAddress,
+                    token,
+                    decimals: topup.decimals,
+                    amount: transfer.amount,
+                    type: 'topup',
+                    reference,
+                    txHash: transfer.txHash,
+                });
+            });
+            logger.info('Credit top-up received', { reference, walletAddress: topup.walletAddress, token, amount: transfer.amount, network: network.name });
+            credited.push(storage.get('creditTopups', reference));
+        });
+    }
+    return credited;
+};
+
+let watching = false;
+
+/**
+ * Polls the treasury for pending top-ups every CREDIT_TOPUP_POLL_SECONDS.
+ * @param {string} treasury - The treasury address.
+ */
+const startTopupWatcher = (treasury) => {
+    setInterval(async () => {
+        if (watching) {
+            return;
+        }
+        watching = true;
+        try {
+            const networks = [...new Set(listTopups({ status: 'pending' }).map(topup => topup.network))];
+            for (const name of networks) {
+                await processTopups(getNetwork(name), treasury);
+            }
+        } catch (error) {
+            logger.error('Error processing credit top-ups', { error: error.message });
+        } finally {
+            watching = false;
+        }
+    }, WATCH_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    getBalance,
+    debitCredits,
+    addCredits,
+    hasCreditAccount,
+    createTopup,
+    attachTopupTransaction,
+    listTopups,
+    listMovements,
+    processTopups,
+    startTopupWatcher,
+};
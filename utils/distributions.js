@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ownsRecord } = require('./apiKeys');
+
+// Reward distribution runs, persisted one JSON file per run so an interrupted run can be resumed
+const distributionsDir = process.env.DISTRIBUTIONS_DIR || path.join(__dirname, '..', 'distributions');
+
+// Runs being processed by this instance; a run must not be resumed while it is still sending
+const activeRuns = new Set();
+
+const runFilePath = (runId) => {
+    if (!/^run_[a-f0-9]+$/.test(runId)) {
+        throw new Error(`Invalid distribution ID: ${runId}`);
+    }
+    return path.join(distributionsDir, `${runId}.json`);
+};
+
+/**
+ * Persists a run. Written to a temporary file first so a crash never leaves a truncated run.
+ * @param {object} run - The run.
+ * @returns {object} - The run.
+ */
+const saveRun = (run) => {
+    if (!fs.existsSync(distributionsDir)) {
+        fs.mkdirSync(distributionsDir, { recursive: true });
+    }
+
+    run.updatedAt = new Date().toISOString();
+    const filePath = runFilePath(run.id);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(run, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    return run;
+};
+
+/**
+ * Creates and persists a new run.
+ * @param {object} details - { owner, apiKeyId, network, walletAddress, tokenTicker, decimals, baseAmount, multiply, snapshotId, allocation, usageFeeHash }.
+ * @param {Array<{owner: string, tokensCount: number, amount: string}>} recipients - Owners with their amount in base units.
+ * @returns {object} - The run.
+ */
+const createRun = (details, recipients) => {
+    const now = new Date().toISOString();
+    const run = {
+        id: `run_${crypto.randomBytes(12).toString('hex')}`,
+        status: 'created',
+        ...details,
+        usageFeeHash: details.usageFeeHash || null,
+        usageFeeStatus: details.usageFeeHash ? 'sent' : null,
+        createdAt: now,
+        updatedAt: now,
+        recipients: recipients.map(recipient => ({
+            ...recipient,
+            nonce: null,
+            txHash: null,
+            status: 'queued',
+            error: null,
+        })),
+    };
+
+    return saveRun(run);
+};
+
+/**
+ * Loads a run.
+ * @param {string} runId - The run ID.
+ * @param {string} [owner] - The caller's owner; runs of other owners are not found.
+ * @returns {object|null} - The run, or null if it does not exist or is another owner's.
+ */
+const getRun = (runId, owner) => {
+    const filePath = runFilePath(runId);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const run = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return ownsRecord(run, owner) ? run : null;
+};
+
+/**
+ * Summarises the recipient statuses of a run.
+ * @param {object} run - The run.
+ * @returns {object} - Count per status.
+ */
+const summarizeRun = (run) => {
+    const progress = { total: run.recipients.length, queued: 0, sent: 0, success: 0, fail: 0, pending: 0 };
+    run.recipients.forEach(recipient => { progress[recipient.status]++; });
+    return progress;
+};
+
+/**
+ * Lists the runs without their recipients.
+ * @param {string} [owner] - Only list the runs of this owner.
+ * @returns {Array<object>} - Run summaries, newest first.
+ */
+const listRuns = (owner) => {
+    if (!fs.existsSync(distributionsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(distributionsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => getRun(path.basename(file, '.json'), owner))
+        .filter(Boolean)
+        .map(({ recipients, ...run }) => ({ ...run, progress: summarizeRun({ recipients }) }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+module.exports = {
+    activeRuns,
+    createRun,
+    getRun,
+    saveRun,
+    listRuns,
+    summarizeRun,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Outbound event webhooks. Every event is posted to each subscriber URL with an HMAC-SHA256 signature;
+// failed deliveries are retried with exponential backoff and end up in a dead-letter file.
+const EVENT_TYPES = ['transfer.sent', 'transfer.succeeded', 'transfer.failed', 'distribution.completed', 'usageFee.charged'];
+const EVENT_WEBHOOK_SECRET = process.env.EVENT_WEBHOOK_SECRET || "";
+const EVENT_ALLOW_UNSIGNED = process.env.EVENT_ALLOW_UNSIGNED === 'true';
+const EVENT_MAX_ATTEMPTS = Number(process.env.EVENT_MAX_ATTEMPTS) || 6;
+const EVENT_RETRY_BASE_MS = Number(process.env.EVENT_RETRY_BASE_MS) || 2000; // 2s, 4s, 8s, ...
+const EVENT_TIMEOUT_MS = 10000;
+const deadLetterFilePath = process.env.EVENT_DEAD_LETTER_PATH || path.join(__dirname, '..', 'dead-letter-events.json');
+
+// Subscribers: EVENT_WEBHOOK_URLS (comma separated) and the Make.com scenario in MAKE_WEBHOOK_URL
+const subscriberUrls = [
+    ...(process.env.EVENT_WEBHOOK_URLS || "").split(','),
+    process.env.MAKE_WEBHOOK_URL || "",
+].map(url => url.trim()).filter(Boolean);
+
+// Unsigned events cannot be told apart from forged ones, so subscribers require a secret unless explicitly allowed
+if (subscriberUrls.length > 0 && !EVENT_WEBHOOK_SECRET) {
+    if (!EVENT_ALLOW_UNSIGNED) {
+        throw new Error('EVENT_WEBHOOK_SECRET is required when EVENT_WEBHOOK_URLS or MAKE_WEBHOOK_URL is set (or set EVENT_ALLOW_UNSIGNED=true).');
+    }
+    logger.warn('Event webhooks are sent unsigned', { subscribers: subscriberUrls.length });
+}
+
+const loadDeadLetters = () => {
+    if (!fs.existsSync(deadLetterFilePath)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(deadLetterFilePath, 'utf8'));
+};
+
+const saveDeadLetters = (entries) => {
+    fs.writeFileSync(`${deadLetterFilePath}.tmp`, JSON.stringify(entries, null, 2));
+    fs.renameSync(`${deadLetterFilePath}.tmp`, deadLetterFilePath);
+};
+
+/**
+ * Signs a payload. Subscribers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to X-Signature.
+ * @param {string} timestamp - The X-Signature-Timestamp header (Unix seconds).
+ * @param {string} body - The raw request body.
+ * @returns {string} - The signature header value (`sha256=<hex>`).
+ */
+const signPayload = (timestamp, body) => {
+    const digest = crypto.createHmac('sha256', EVENT_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+// Post an event to one subscriber once; throws on network errors and non-2xx responses
+const postEvent = async (url, event) => {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Event-Id': event.id,
+        'X-Event-Type': event.type,
+        'X-Signature-Timestamp': timestamp,
+    };
+    if (EVENT_WEBHOOK_SECRET) {
+        headers['X-Signature'] = signPayload(timestamp, body);
+    }
+
+    await axios.post(url, body, { headers, timeout: EVENT_TIMEOUT_MS });
+};
+
+// Deliver an event to one subscriber, retrying with exponential backoff, then dead-letter it
+const deliver = async (url, event, attempt = 1) => {
+    try {
+        await postEvent(url, event);
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        if (attempt < EVENT_MAX_ATTEMPTS) {
+            const delay = EVENT_RETRY_BASE_MS * 2 ** (attempt - 1);
+            logger.warn('Event delivery failed, retrying', { eventId: event.id, url, attempt, error: reason, retryInMs: delay });
+            setTimeout(() => {
+                deliver(url, event, attempt + 1).catch(retryError => logger.error('Error delivering event', { eventId: event.id, error: retryError.message }));
+            }, delay);
+            return;
+        }
+
+        logger.error('Event delivery failed, dead-lettered', { eventId: event.id, url, attempts: attempt, error: reason });
+        const entries = loadDeadLetters();
+        entries.push({
+            deliveryId: `dlv_${crypto.randomBytes(12).toString('hex')}`,
+            url,
+            event,
+            attempts: attempt,
+            lastError: reason,
+            failedAt: new Date().toISOString(),
+        });
+        saveDeadLetters(entries);
+    }
+};
+
+/**
+ * Emits an event to every subscriber. Delivery happens in the background and never throws.
+ * @param {string} type - One of EVENT_TYPES.
+ * @param {object} data - The event payload.
+ * @returns {object|null} - The event, or null if there are no subscribers.
+ */
+const emitEvent = (type, data) => {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type: ${type}`);
+    }
+    if (subscriberUrls.length === 0) {
+        return null;
+    }
+
+    const event = {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        createdAt: new Date().toISOString(),
+        data,
+    };
+    subscriberUrls.forEach(url => {
+        deliver(url, event).catch(error => logger.error('Error delivering event', { eventId: event.id, error: error.message }));
+    });
+    return event;
+};
+
+/**
+ * Lists the deliveries that exhausted their retries.
+ * @returns {Array<object>} - The dead-letter entries.
+ */
+const listDeadLetters = () => loadDeadLetters();
+
+/**
+ * Redelivers a dead-lettered event once. The entry is removed on success and updated on failure.
+ * @param {string} deliveryId - The dead-letter entry ID.
+ * @returns {Promise<object>} - The entry with its delivery outcome.
+ */
+const redeliverDeadLetter = async (deliveryId) => {
+    const entry = loadDeadLetters().find(item => item.deliveryId === deliveryId);
+    if (!entry) {
+        throw new Error(`Dead-letter delivery ${deliveryId} not found.`);
+    }
+
+    try {
+        await postEvent(entry.url, entry.event);
+        saveDeadLetters(loadDeadLetters().filter(item => item.deliveryId !== deliveryId));
+        return { ...entry, redelivered: true };
+    } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        const entries = loadDeadLetters();
+        const updated = entries.find(item => item.deliveryId === deliveryId);
+        if (updated) {
+            Object.assign(updated, { attempts: updated.attempts + 1, lastError: reason, failedAt: new Date().toISOString() });
+            saveDeadLetters(entries);
+        }
+        return { ...(updated || entry), redelivered: false };
+    }
+};
+
+module.exports = {
+    EVENT_TYPES,
+    signPayload,
+    emitEvent,
+    listDeadLetters,
+    redeliverDeadLetter,
+};
@@ -0,0 +1,206 @@
+const logger = require('./logger');
+const storage = require('./storage');
+const credits = require('./credits');
+
+// Fee compensation: every charged usage fee is linked to the operation it paid for, and when that operation
+// ends in `fail` the fee is given back. Fees paid with credits are always credited back; fees paid with a
+// transaction follow FEE_COMPENSATION:
+// - `credits` (default): credited to the wallet's prepaid credits, in the fee token.
+// - `refund`: sent back from the treasury (signed with the TREASURY_PEM_PATH file) in a refund transaction.
+//   The compensation is stored as `pending` with the refund txHash as soon as it is broadcast, and settled
+//   (`refunded` or `failed`) once the transaction is final, so a refund is never sent twice.
+// - `none`: recorded only.
+// Every compensation is stored in the `feeCompensations` collection.
+const COMPENSATION_MODES = ['credits', 'refund', 'none'];
+const COMPENSATION_MODE = (process.env.FEE_COMPENSATION || 'credits').toLowerCase();
+
+if (!COMPENSATION_MODES.includes(COMPENSATION_MODE)) {
+    throw new Error(`Unknown FEE_COMPENSATION "${COMPENSATION_MODE}". Use: ${COMPENSATION_MODES.join(', ')}.`);
+}
+
+/**
+ * Links a charged fee to the outcome of its operation (ledger entry or credit debit).
+ * @param {object} charge - The fee charged for the request (req.usageFeeCharge).
+ * @param {object} operation - { status (success, fail or unknown), jobId, error }.
+ */
+const linkOperation = (charge, operation) => {
+    if (charge.paidWith === 'credits') {
+        storage.update('creditMovements', charge.creditMovementId, { operation });
+    } else if (charge.txHash) {
+        storage.update('usageFees', charge.txHash, { operation });
+    }
+};
+
+// Compensations being applied or refunds being confirmed by this instance
+const inProgress = new Set();
+
+// Store the outcome of a compensation and mirror its status on the ledger entry of the fee
+const saveOutcome = (record, result) => {
+    const updated = storage.update('feeCompensations', record.id, { ...result, updatedAt: new Date().toISOString() });
+    if (record.feeTxHash) {
+        storage.update('usageFees', record.feeTxHash, { compensation: { id: record.id, method: updated.method, status: updated.status } });
+    }
+    return updated;
+};
+
+// Wait for a broadcast refund to be final. A refund whose status cannot be determined stays pending with its
+// txHash, so a retry re-checks that transaction instead of sending another one.
+const settleRefund = async (record, refunds) => {
+    inProgress.add(record.id);
+    try {
+        const status = await refunds.confirm(record.txHash, record.network);
+        const result = status === 'success'
+            ? { status: 'refunded', error: null }
+            : { status: 'failed', error: `Refund transaction ${record.txHash} failed.` };
+        const updated = saveOutcome(record, result);
+        logger.info('Usage fee refund settled', { compensationId: record.id, txHash: record.txHash, status: updated.status });
+    } catch (error) {
+        logger.error('Usage fee refund not confirmed', { compensationId: record.id, txHash: record.txHash, error: error.message });
+        saveOutcome(record, { error: error.message });
+    } finally {
+        inProgress.delete(record.id);
+    }
+};
+
+// Run the compensation of a record and store its outcome. A refund is only broadcast here: the record is
+// returned as pending with its txHash and settled in the background.
+const applyCompensation = async (record, refunds) => {
+    const method = record.paidWith === 'credits' ? 'credits' : COMPENSATION_MODE;
+    let result;
+    try {
+        if (method === 'credits') {
+            const movement = credits.addCredits({
+                network: record.network,
+                walletAddress: record.walletAddress,
+                token: record.token,
+                decimals: record.decimals,
+                amount: record.amount,
+                type: 'refund',
+                compensationId: record.id,
+                route: record.route,
+                requestId: record.requestId,
+            });
+            result = { method, status: 'credited', creditMovementId: movement.id, error: null };
+        } else if (method === 'refund') {
+            const txHash = await refunds.send(record);
+            result = { method, status: 'pending', txHash, error: null };
+        } else {
+            result = { method, status: 'none', error: null };
+        }
+    } catch (error) {
+        logger.error('Usage fee compensation failed', { compensationId: record.id, method, error: error.message });
+        result = { method, status: 'failed', error: error.message };
+    }
+
+    return saveOutcome(record, { ...result, attempts: (record.attempts || 0) + 1 });
+};
+
+// Apply a compensation unless this instance is already working on it, then settle a broadcast refund
+// in the background
+const runCompensation = async (record, refunds) => {
+    if (inProgress.has(record.id)) {
+        throw new Error(`Compensation ${record.id} is already being processed.`);
+    }
+    inProgress.add(record.id);
+    let updated;
+    try {
+        updated = await applyCompensation(record, refunds);
+    } finally {
+        inProgress.delete(record.id);
+    }
+    if (updated.status === 'pending') {
+        settleRefund(updated, refunds).catch(error => logger.error('Error settling usage fee refund', { compensationId: record.id, error: error.message }));
+    }
+    return updated;
+};
+
+/**
+ * Gives back the fee of a failed operation.
+ * @param {object} operation - { network, walletAddress, route, requestId, jobId, reason, charge (req.usageFeeCharge) }.
+ * @param {object} refunds - Treasury refunds: { send: (record) => Promise<txHash>, confirm: (txHash, network) =>
+ * Promise<'success'|'fail'> (waits for a final status, throws if it cannot tell), check: (txHash, network) =>
+ * Promise<'success'|'fail'|'pending'|'notFound'> (current status) }.
+ * @returns {Promise<object>} - The compensation record: { id, method, status (credited, pending, refunded, failed or none), txHash, ... }.
+ */
+const compensateFee = async ({ network, walletAddress, route, requestId, jobId = null, reason, charge }, refunds) => {
+    const record = storage.insert('feeCompensations', {
+        network,
+        walletAddress,
+        route,
+        requestId,
+        jobId,
+        reason,
+        paidWith: charge.paidWith,
+        feeTxHash: charge.txHash || null,
+        creditMovementId: charge.creditMovementId || null,
+        token: charge.token,
+        amount: charge.amount,
+        amountDecimal: charge.amountDecimal,
+        decimals: charge.decimals,
+        usdFee: charge.usdFee,
+        method: null,
+        status: 'pending',
+        txHash: null,
+        error: null,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+    });
+    const compensation = await runCompensation(record, refunds);
+    logger.info('Usage fee compensated', { compensationId: compensation.id, walletAddress, method: compensation.method, status: compensation.status });
+    return compensation;
+};
+
+/**
+ * Retries a failed compensation, or one left pending (e.g. by a restart). A refund that was already broadcast
+ * is re-checked first: it is only sent again once its transaction is known to have failed.
+ * @param {string} id - The compensation ID.
+ * @param {object} refunds - Same as compensateFee.
+ * @returns {Promise<object>} - The updated record.
+ */
+const retryCompensation = async (id, refunds) => {
+    const record = storage.get('feeCompensations', id);
+    if (!record) {
+        throw new Error('Compensation not found.');
+    }
+    if (!['failed', 'pending'].includes(record.status)) {
+        throw new Error(`Only failed or pending compensations can be retried (this one is ${record.status}).`);
+    }
+    if (inProgress.has(record.id)) {
+        throw new Error(`Compensation ${record.id} is already being processed.`);
+    }
+
+    if (record.txHash) {
+        inProgress.add(record.id);
+        try {
+            const status = await refunds.check(record.txHash, record.network);
+            if (status === 'success') {
+                return saveOutcome(record, { status: 'refunded', error: null });
+            }
+            if (status !== 'fail') {
+                throw new Error(`Refund transaction ${record.txHash} is ${status === 'notFound' ? 'not found yet' : 'still pending'}; retry once it is final.`);
+            }
+        } finally {
+            inProgress.delete(record.id);
+        }
+    }
+    return runCompensation(record, refunds);
+};
+
+/**
+ * Lists compensations, newest first.
+ * @param {object} filters - { walletAddress, status, network }; all optional.
+ * @returns {Array<object>} - The compensations.
+ */
+const listCompensations = ({ walletAddress, status, network } = {}) => storage.list('feeCompensations', { walletAddress, status, network }).reverse();
+
+// Public view of a compensation, for responses
+const toSummary = ({ id, method, status, token, amountDecimal, txHash, error }) => ({ id, method, status, token, amount: amountDecimal, txHash, error });
+
+module.exports = {
+    COMPENSATION_MODE,
+    linkOperation,
+    compensateFee,
+    retryCompensation,
+    listCompensations,
+    toSummary,
+};
@@ -0,0 +1,304 @@
+const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const storage = require('./storage');
+
+// Usage fee ledger: one entry per fee charge in the `usageFees` storage collection, with the token amount,
+// the price it was computed with and its final status, for revenue reports and treasury reconciliation.
+// Fees paid with prepaid credits have no transaction: they are read from the credit debits
+// (`creditMovements`) and reported beside them with `paidWith: "credits"`.
+const LEDGER_STATUSES = ['sent', 'success', 'fail', 'unconfirmed'];
+const TRANSFERS_PAGE_SIZE = 100;
+const MAX_TRANSFER_PAGES = 50;
+
+/**
+ * Records a broadcast fee charge.
+ * @param {object} charge - { txHash, walletAddress, route, network, token, amount (base units), decimals, usdFee, tokenPrice, requestId, apiKeyId }.
+ * @returns {object} - The ledger entry.
+ */
+const recordCharge = (charge) => storage.insert('usageFees', {
+    ...charge,
+    paidWith: 'transaction',
+    amountDecimal: new BigNumber(charge.amount).shiftedBy(-charge.decimals).toFixed(),
+    status: 'sent',
+    error: null,
+    createdAt: new Date().toISOString(),
+    confirmedAt: null,
+});
+
+/**
+ * Sets the final status of a charge.
+ * @param {string} txHash - The fee transaction hash.
+ * @param {string} status - success, fail or unconfirmed.
+ * @param {string} [error] - The failure reason.
+ * @returns {object|null} - The updated entry.
+ */
+const settleCharge = (txHash, status, error = null) => {
+    if (!LEDGER_STATUSES.includes(status)) {
+        throw new Error(`Invalid ledger status: ${status}`);
+    }
+    return storage.update('usageFees', txHash, {
+        status,
+        error,
+        confirmedAt: status === 'success' ? new Date().toISOString() : null,
+    });
+};
+
+// Parse the optional from / to filters (ISO dates or YYYY-MM-DD; `to` is inclusive of that day)
+const parseRange = ({ from, to }) => {
+    const range = { from: null, to: null };
+    if (from) {
+        range.from = Date.parse(from);
+        if (isNaN(range.from)) {
+            throw new Error('from must be a date.');
+        }
+    }
+    if (to) {
+        range.to = Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 : 1);
+        if (isNaN(range.to)) {
+            throw new Error('to must be a date.');
+        }
+    }
+    return range;
+};
+
+// A credit debit in the shape of a ledger entry; the debit is final, so its status is success
+const toCreditCharge = (movement) => ({
+    txHash: null,
+    paidWith: 'credits',
+    creditMovementId: movement.id,
+    walletAddress: movement.walletAddress,
+    route: movement.route || null,
+    network: movement.network,
+    token: movement.token,
+    amount: new BigNumber(movement.amount).negated().toFixed(),
+    amountDecimal: new BigNumber(movement.amountDecimal).negated().toFixed(),
+    usdFee: movement.usdFee !== undefined ? movement.usdFee : null,
+    tokenPrice: movement.tokenPrice !== undefined ? movement.tokenPrice : null,
+    priceSource: movement.priceSource || null,
+    requestId: movement.requestId || null,
+    apiKeyId: movement.apiKeyId || null,
+    operation: movement.operation || null,
+    status: 'success',
+    error: null,
+    createdAt: movement.createdAt,
+    confirmedAt: movement.createdAt,
+});
+
+/**
+ * Lists ledger entries (fee transactions and credit debits), newest first.
+ * @param {object} filters - { from, to, walletAddress, route, status, network, paidWith (transaction or credits) }; all optional.
+ * @returns {Array<object>} - The matching entries.
+ */
+const listCharges = (filters = {}) => {
+    const range = parseRange(filters);
+    // Wallet, network, status and date filters run in storage, on indexed fields
+    const { walletAddress, network } = filters;
+    const createdAt = {
+        from: range.from === null ? null : new Date(range.from).toISOString(),
+        to: range.to === null ? null : new Date(range.to).toISOString(),
+    };
+    const entries = [
+        ...(filters.paidWith === 'credits' ? [] : storage.list('usageFees', { walletAddress, network, status: filters.status, createdAt })
+            .map(entry => ({ paidWith: 'transaction', ...entry }))),
+        ...(filters.paidWith === 'transaction' ? [] : storage.list('creditMovements', { type: 'debit', walletAddress, network, createdAt })
+            .map(toCreditCharge)),
+    ];
+    // The route is not indexed, and credit debits (always successful) are matched on status here
+    return entries
+        .filter(entry => (!filters.route || entry.route === filters.route) && (!filters.status || entry.status === filters.status))
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+};
+
+// Amounts are summed per fee token, e.g. { "REWARD-cf6eac": "12.5", "EGLD": "0.01" }
+const emptyTotals = () => ({ charges: 0, confirmed: 0, failed: 0, pending: 0, amounts: {}, usd: new BigNumber(0) });
+
+const addToTotals = (totals, entry) => {
+    totals.charges++;
+    if (entry.status === 'success') {
+        const token = entry.token || 'unknown';
+        totals.confirmed++;
+        totals.amounts[token] = (totals.amounts[token] || new BigNumber(0)).plus(entry.amountDecimal || 0);
+        totals.usd = totals.usd.plus(entry.usdFee || 0);
+    } else if (entry.status === 'fail') {
+        totals.failed++;
+    } else {
+        totals.pending++;
+    }
+};
+
+const formatTotals = ({ amounts, usd, ...counts }) => ({
+    ...counts,
+    amounts: Object.fromEntries(Object.entries(amounts).map(([token, amount]) => [token, amount.toFixed()])),
+    usd: usd.decimalPlaces(6).toFixed(),
+});
+
+/**
+ * Sums the ledger by wallet, route and day. Amounts and USD only count confirmed charges.
+ * @param {object} filters - Same filters as listCharges.
+ * @returns {object} - { totals, byWallet, byRoute, byDay }.
+ */
+const summarizeCharges = (filters = {}) => {
+    const totals = emptyTotals();
+    const groups = { byWallet: {}, byRoute: {}, byDay: {} };
+    const groupKeys = {
+        byWallet: entry => entry.walletAddress,
+        byRoute: entry => entry.route,
+        byDay: entry => entry.createdAt.slice(0, 10),
+    };
+
+    listCharges(filters).forEach(entry => {
+        addToTotals(totals, entry);
+        Object.entries(groupKeys).forEach(([group, keyOf]) => {
+            const key = keyOf(entry) || 'unknown';
+            groups[group][key] = groups[group][key] || emptyTotals();
+            addToTotals(groups[group][key], entry);
+        });
+    });
+
+    const formatGroup = (group) => Object.fromEntries(Object.entries(group).map(([key, value]) => [key, formatTotals(value)]));
+    return {
+        totals: formatTotals(totals),
+        byWallet: formatGroup(groups.byWallet),
+        byRoute: formatGroup(groups.byRoute),
+        byDay: formatGroup(groups.byDay),
+    };
+};
+
+// Amount of `token` (base units) moved by a transfer returned by the API, or null if it is not a transfer of it
+const getTransferAmount = (transfer, token) => {
+    if (token === 'EGLD') {
+        const data = transfer.data ? Buffer.from(transfer.data, 'base64').toString() : '';
+        return transfer.value && transfer.value !== '0' && !data.startsWith('ESDT') && !data.startsWith('MultiESDT')
+            ? new BigNumber(transfer.value).toFixed()
+            : null;
+    }
+
+    const actionTransfers = transfer.action && transfer.action.arguments && transfer.action.arguments.transfers;
+    if (Array.isArray(actionTransfers)) {
+        const matching = actionTransfers.filter(item => item.token === token || item.identifier === token);
+        return matching.length > 0
+            ? matching.reduce((sum, item) => sum.plus(item.value), new BigNumber(0)).toFixed()
+            : null;
+    }
+
+    // Fall back to the data field: ESDTTransfer@<token hex>@<amount hex>
+    const data = transfer.data ? Buffer.from(transfer.data, 'base64').toString() : '';
+    const [functionName, tokenHex, amountHex] = data.split('@');
+    if (functionName !== 'ESDTTransfer' || Buffer.from(tokenHex || '', 'hex').toString() !== token || !amountHex) {
+        return null;
+    }
+    return new BigNumber(amountHex, 16).toFixed();
+};
+
+/**
+ * Fetches the successful transfers of `token` received by the treasury, page by page.
+ * @param {object} network - The network profile.
+ * @param {string} treasury - The treasury address.
+ * @param {string} token - The fee token identifier, or "EGLD".
+ * @param {object} range - { from, to } in milliseconds (null for unbounded).
+ * @returns {Promise<Array<object>>} - { txHash, sender, amount, data (decoded), timestamp } per transfer.
+ */
+const fetchTreasuryTransfers = async (network, treasury, token, range) => {
+    const transfers = [];
+    for (let page = 0; page < MAX_TRANSFER_PAGES; page++) {
+        const params = { receiver: treasury, status: 'success', from: page * TRANSFERS_PAGE_SIZE, size: TRANSFERS_PAGE_SIZE };
+        if (token !== 'EGLD') {
+            params.token = token;
+        }
+        if (range.from !== null) {
+            params.after = Math.floor(range.from / 1000);
+        }
+        if (range.to !== null) {
+            params.before = Math.ceil(range.to / 1000);
+        }
+
+        const response = await axios.get(`${network.apiUrl}/accounts/${treasury}/transfers`, { params, timeout: 15000 });
+        const items = Array.isArray(response.data) ? response.data : [];
+        items.forEach(item => {
+            const amount = getTransferAmount(item, token);
+            if (amount !== null && item.receiver === treasury) {
+                const data = item.data ? Buffer.from(item.data, 'base64').toString() : '';
+                transfers.push({ txHash: item.txHash, sender: item.sender, amount, data, timestamp: item.timestamp });
+            }
+        });
+
+        if (items.length < TRANSFERS_PAGE_SIZE) {
+            return transfers;
+        }
+    }
+    throw new Error(`More than ${MAX_TRANSFER_PAGES * TRANSFERS_PAGE_SIZE} treasury transfers in range; narrow from / to.`);
+};
+
+/**
+ * Compares the ledger with the confirmed fee token transfers received by the treasury.
+ * @param {object} network - The network profile.
+ * @param {string} treasury - The treasury address.
+ * @param {string} token - The fee token identifier, or "EGLD".
+ * @param {object} filters - { from, to }.
+ * @param {Set<string>} [topupHashes] - Hashes of credit top-ups, reported apart from unrecorded transfers.
+ * @returns {Promise<object>} - Matched entries and every discrepancy.
+ */
+const reconcileCharges = async (network, treasury, token, filters = {}, topupHashes = new Set()) => {
+    const range = parseRange(filters);
+    const entries = listCharges({ ...filters, network: network.name, paidWith: 'transaction' }).filter(entry => (entry.token || token) === token);
+    const transfers = await fetchTreasuryTransfers(network, treasury, token, range);
+    const transfersByHash = new Map(transfers.map(transfer => [transfer.txHash, transfer]));
+
+    const report = {
+        network: network.name,
+        treasury,
+        token,
+        from: filters.from || null,
+        to: filters.to || null,
+        matched: [],
+        amountMismatch: [],
+        missingOnChain: [], // Ledger says success, no such inbound transfer
+        confirmedOnChain: [], // Ledger says sent/unconfirmed/fail, the transfer succeeded
+        unrecorded: [], // Inbound transfers with no ledger entry
+        topups: [], // Inbound prepaid credit top-ups
+    };
+
+    entries.forEach(entry => {
+        const transfer = transfersByHash.get(entry.txHash);
+        transfersByHash.delete(entry.txHash);
+        if (!transfer) {
+            if (entry.status === 'success') {
+                report.missingOnChain.push(entry);
+            }
+            return;
+        }
+        if (entry.status !== 'success') {
+            report.confirmedOnChain.push({ ...entry, onChainAmount: transfer.amount });
+        } else if (entry.amount !== undefined && !new BigNumber(entry.amount).isEqualTo(transfer.amount)) {
+            report.amountMismatch.push({ ...entry, onChainAmount: transfer.amount });
+        } else {
+            report.matched.push(entry.txHash);
+        }
+    });
+    [...transfersByHash.values()].forEach(transfer => {
+        (topupHashes.has(transfer.txHash) ? report.topups : report.unrecorded).push(transfer);
+    });
+
+    report.summary = {
+        ledgerEntries: entries.length,
+        treasuryTransfers: transfers.length,
+        matched: report.matched.length,
+        amountMismatch: report.amountMismatch.length,
+        missingOnChain: report.missingOnChain.length,
+        confirmedOnChain: report.confirmedOnChain.length,
+        unrecorded: report.unrecorded.length,
+        topups: report.topups.length,
+        balanced: report.amountMismatch.length + report.missingOnChain.length + report.confirmedOnChain.length + report.unrecorded.length === 0,
+    };
+    return report;
+};
+
+module.exports = {
+    LEDGER_STATUSES,
+    recordCharge,
+    settleCharge,
+    listCharges,
+    summarizeCharges,
+    reconcileCharges,
+    fetchTreasuryTransfers,
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const BigNumber = require('bignumber.js');
+const { hasMaxFeeAmount } = require('./priceOracle');
+
+// Usage fee schedule, in USD. Read from the FEE_SCHEDULE environment variable (JSON) or from
+// FEE_SCHEDULE_PATH (`fee-schedule.json` by default); without either, every route costs a flat 0.03 USD in REWARD.
+//
+// {
+//   "token": "REWARD-cf6eac",                 // Default payment token
+//   "tokens": ["REWARD-cf6eac", "EGLD"],      // Tokens a request may pay with (`feeToken`)
+//   "default": { "baseUsd": 0.03 },
+//   "routes": {
+//     "distributeRewardsToNftOwners": { "baseUsd": 0.05, "perRecipientUsd": 0.001, "maxUsd": 2 },
+//     "multiTransfer": { "perItemUsd": 0.005 }
+//   }
+// }
+const FEE_FIELDS = ['baseUsd', 'perRecipientUsd', 'perItemUsd', 'minUsd', 'maxUsd'];
+const DEFAULT_SCHEDULE = {
+    token: 'REWARD-cf6eac',
+    tokens: ['REWARD-cf6eac'],
+    default: { baseUsd: 0.03 }, // 3 cents
+    routes: {},
+};
+const scheduleFilePath = process.env.FEE_SCHEDULE_PATH || path.join(__dirname, '..', 'fee-schedule.json');
+
+const validateFees = (fees, where) => {
+    if (!fees || typeof fees !== 'object' || Array.isArray(fees)) {
+        throw new Error(`Fee schedule: ${where} must be an object.`);
+    }
+    Object.entries(fees).forEach(([field, value]) => {
+        if (!FEE_FIELDS.includes(field)) {
+            throw new Error(`Fee schedule: unknown field ${where}.${field}. Allowed: ${FEE_FIELDS.join(', ')}.`);
+        }
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            throw new Error(`Fee schedule: ${where}.${field} must be a non-negative number.`);
+        }
+    });
+    if (fees.minUsd !== undefined && fees.maxUsd !== undefined && fees.minUsd > fees.maxUsd) {
+        throw new Error(`Fee schedule: ${where}.minUsd is greater than maxUsd.`);
+    }
+};
+
+// Read and validate the configured schedule, filling in the defaults
+const loadSchedule = () => {
+    let configured = {};
+    if (process.env.FEE_SCHEDULE) {
+        configured = JSON.parse(process.env.FEE_SCHEDULE);
+    } else if (fs.existsSync(scheduleFilePath)) {
+        configured = JSON.parse(fs.readFileSync(scheduleFilePath, 'utf8'));
+    }
+
+    const schedule = {
+        token: configured.token || DEFAULT_SCHEDULE.token,
+        tokens: configured.tokens || [configured.token || DEFAULT_SCHEDULE.token],
+        default: configured.default || DEFAULT_SCHEDULE.default,
+        routes: configured.routes || {},
+    };
+
+    if (!Array.isArray(schedule.tokens) || schedule.tokens.some(token => typeof token !== 'string' || !token)) {
+        throw new Error('Fee schedule: tokens must be an array of token identifiers (or "EGLD").');
+    }
+    if (!schedule.tokens.includes(schedule.token)) {
+        throw new Error(`Fee schedule: the default token ${schedule.token} must be listed in tokens.`);
+    }
+    // Fees are never charged in a token without a maximum amount, so such a token would fail every request
+    const uncapped = schedule.tokens.filter(token => !hasMaxFeeAmount(token));
+    if (uncapped.length > 0) {
+        throw new Error(`Fee schedule: no maximum fee amount in FEE_AMOUNT_LIMITS for ${uncapped.join(', ')}; every token in tokens needs one.`);
+    }
+    validateFees(schedule.default, 'default');
+    Object.entries(schedule.routes).forEach(([route, fees]) => validateFees(fees, `routes.${route}`));
+    return schedule;
+};
+
+// Fail fast on an invalid schedule
+const schedule = loadSchedule();
+
+/**
+ * Returns the active fee schedule.
+ * @returns {object} - { token, tokens, default, routes }.
+ */
+const getSchedule = () => schedule;
+
+/**
+ * Resolves the token a request pays its fee with.
+ * @param {string} [requested] - The `feeToken` of the request.
+ * @returns {string} - The token identifier, or "EGLD".
+ */
+const resolveFeeToken = (requested) => {
+    if (!requested) {
+        return schedule.token;
+    }
+    if (!schedule.tokens.includes(requested)) {
+        throw new Error(`Usage fees cannot be paid in ${requested}. Accepted: ${schedule.tokens.join(', ')}.`);
+    }
+    return requested;
+};
+
+/**
+ * Computes the USD fee of a request from the schedule of its route.
+ * @param {string} route - The request path (e.g. "/execute/multiTransfer").
+ * @param {object} volume - { recipients, items }.
+ * @returns {object} - The breakdown: the route fees applied, the volume, subtotalUsd, cappedAt (min / max / null) and usd.
+ */
+const quoteUsd = (route, { recipients = 1, items = 1 } = {}) => {
+    const routeName = route.split('/').pop();
+    const fees = { ...schedule.default, ...(schedule.routes[routeName] || {}) };
+
+    let subtotal = new BigNumber(fees.baseUsd || 0);
+    if (fees.perRecipientUsd) {
+        subtotal = subtotal.plus(new BigNumber(fees.perRecipientUsd).multipliedBy(recipients));
+    }
+    if (fees.perItemUsd) {
+        subtotal = subtotal.plus(new BigNumber(fees.perItemUsd).multipliedBy(items));
+    }
+
+    let usd = subtotal;
+    let cappedAt = null;
+    if (fees.minUsd !== undefined && usd.isLessThan(fees.minUsd)) {
+        usd = new BigNumber(fees.minUsd);
+        cappedAt = 'min';
+    }
+    if (fees.maxUsd !== undefined && usd.isGreaterThan(fees.maxUsd)) {
+        usd = new BigNumber(fees.maxUsd);
+        cappedAt = 'max';
+    }
+
+    return {
+        route: routeName,
+        baseUsd: fees.baseUsd || 0,
+        perRecipientUsd: fees.perRecipientUsd || 0,
+        recipients,
+        perItemUsd: fees.perItemUsd || 0,
+        items,
+        subtotalUsd: subtotal.toNumber(),
+        minUsd: fees.minUsd !== undefined ? fees.minUsd : null,
+        maxUsd: fees.maxUsd !== undefined ? fees.maxUsd : null,
+        cappedAt,
+        usd: usd.toNumber(),
+    };
+};
+
+module.exports = {
+    getSchedule,
+    resolveFeeToken,
+    quoteUsd,
+};
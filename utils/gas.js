@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { getNetwork } = require('./network');
+const logger = require('./logger');
+
+// Gas estimator. A transaction pays for its data field (move-balance cost, taken from the network config)
+// plus the execution cost of what it does. Execution costs of the built-in transfer functions are fixed
+// by the protocol; smart contract calls are estimated with the gateway's transaction cost endpoint.
+const GAS_SAFETY_MARGIN = process.env.GAS_SAFETY_MARGIN !== undefined ? Number(process.env.GAS_SAFETY_MARGIN) : 0.1; // 10% on top of the execution cost
+const GAS_ESTIMATE_SC_CALLS = process.env.GAS_ESTIMATE_SC_CALLS !== 'false'; // Ask the gateway for SC call costs
+const NETWORK_CONFIG_TTL_MS = 10 * 60 * 1000; // Refresh the network config every 10 minutes
+const MAX_GAS_LIMIT = 600000000; // Maximum gas limit of a transaction
+
+// Execution cost per transfer kind, on top of the move-balance cost
+const EXECUTION_GAS = {
+    egld: () => 0,
+    esdt: () => 200000 + 100000, // ESDTTransfer
+    nft: () => 200000 + 800000, // ESDTNFTTransfer (NFT, SFT and Meta-ESDT), executed on the sender's shard first
+    multiTransfer: (itemCount) => 200000 * itemCount + 800000, // MultiESDTNFTTransfer
+};
+
+const networkConfigCache = {};
+
+/**
+ * Returns the network config (min gas limit, gas per data byte, gas price modifier), cached per network.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @returns {Promise<object>} - The network config.
+ */
+const getNetworkConfig = async (network = getNetwork()) => {
+    const cached = networkConfigCache[network.name];
+    if (cached && Date.now() - cached.fetchedAt < NETWORK_CONFIG_TTL_MS) {
+        return cached.config;
+    }
+
+    const config = await network.provider.getNetworkConfig();
+    networkConfigCache[network.name] = { config, fetchedAt: Date.now() };
+    return config;
+};
+
+/**
+ * Computes the move-balance cost of a transaction: the minimum gas limit plus the cost of its data field.
+ * @param {object} tx - The transaction.
+ * @param {object} networkConfig - The network config.
+ * @returns {number} - The move-balance gas.
+ */
+const computeMoveBalanceGas = (tx, networkConfig) => {
+    return networkConfig.MinGasLimit + tx.data.length * networkConfig.GasPerDataByte;
+};
+
+/**
+ * Asks the gateway how much gas a transaction consumes (POST /transaction/cost).
+ * @param {object} tx - The transaction.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @returns {Promise<{gas: number|null, error: string|null}>} - The gas units, or the reason they could not be computed.
+ */
+const fetchTransactionCost = async (tx, network = getNetwork()) => {
+    try {
+        const response = await axios.post(`${network.gatewayUrl}/transaction/cost`, tx.toSendable());
+        const cost = response.data.data || {};
+        return { gas: cost.txGasUnits || null, error: cost.returnMessage || null };
+    } catch (error) {
+        return { gas: null, error: (error.response && error.response.data && error.response.data.error) || error.message };
+    }
+};
+
+const withMargin = (gas) => Math.ceil(gas * (1 + GAS_SAFETY_MARGIN));
+
+/**
+ * Estimates the gas limit of a transaction once its data field is set.
+ * @param {object} tx - The transaction.
+ * @param {string} kind - 'egld', 'esdt', 'nft' (also SFT and Meta-ESDT), 'multiTransfer' or 'scCall'.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @param {object} [options] - { itemCount } for multiTransfer, { fallbackGas } for scCall when the cost endpoint is unavailable.
+ * @returns {Promise<object>} - { gasLimit, moveBalanceGas, executionGas, method } where method is 'formula', 'cost' or 'fallback'.
+ */
+const estimateGasLimit = async (tx, kind, network = getNetwork(), options = {}) => {
+    const networkConfig = await getNetworkConfig(network);
+    const moveBalanceGas = computeMoveBalanceGas(tx, networkConfig);
+
+    if (kind === 'scCall') {
+        if (GAS_ESTIMATE_SC_CALLS) {
+            const cost = await fetchTransactionCost(tx, network);
+            if (cost.gas && !cost.error) {
+                const gasLimit = Math.min(Math.max(withMargin(cost.gas), moveBalanceGas), MAX_GAS_LIMIT);
+                return { gasLimit, moveBalanceGas, executionGas: gasLimit - moveBalanceGas, method: 'cost' };
+            }
+            logger.warn('Transaction cost estimation failed, using the fallback gas limit', { error: cost.error });
+        }
+        if (!options.fallbackGas) {
+            throw new Error('Could not estimate the gas limit of the smart contract call.');
+        }
+        const gasLimit = Math.min(Math.max(Number(options.fallbackGas), moveBalanceGas), MAX_GAS_LIMIT);
+        return { gasLimit, moveBalanceGas, executionGas: gasLimit - moveBalanceGas, method: 'fallback' };
+    }
+
+    if (!EXECUTION_GAS[kind]) {
+        throw new Error(`Unknown transfer kind for gas estimation: ${kind}`);
+    }
+
+    const executionGas = withMargin(EXECUTION_GAS[kind](options.itemCount || 1));
+    const gasLimit = Math.min(moveBalanceGas + executionGas, MAX_GAS_LIMIT);
+    return { gasLimit, moveBalanceGas, executionGas, method: 'formula' };
+};
+
+module.exports = {
+    getNetworkConfig,
+    computeMoveBalanceGas,
+    fetchTransactionCost,
+    estimateGasLimit,
+};
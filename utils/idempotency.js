@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const storage = require('./storage');
+
+// Outcomes of requests sent with an Idempotency-Key header, kept for IDEMPOTENCY_TTL_MS (in the
+// `idempotencyKeys` storage collection, so they survive a restart) so a retried request is answered
+// with the first outcome instead of sending the transfer twice.
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+// Drop expired records
+const pruneRecords = () => {
+    const now = Date.now();
+    storage.list('idempotencyKeys')
+        .filter(record => record.expiresAt < now)
+        .forEach(record => storage.remove('idempotencyKeys', record.key));
+};
+
+setInterval(() => {
+    try {
+        pruneRecords();
+    } catch (error) {
+        logger.error('Error pruning idempotency keys', { error: error.message });
+    }
+}, 60 * 60 * 1000).unref();
+
+// Requests still processing when the server stopped may have broadcast before it did: their keys are
+// kept, answering duplicates with an error, so a retry cannot send a second time
+const closeInterruptedRequests = () => {
+    storage.list('idempotencyKeys', { status: 'processing' })
+        .forEach(record => {
+            storage.update('idempotencyKeys', record.key, {
+                status: 'completed',
+                statusCode: 500,
+                body: { error: 'The request was interrupted by a server restart. Check the wallet transactions before retrying with a new Idempotency-Key.' },
+            });
+            logger.warn('Idempotent request interrupted by a server restart', { createdAt: record.createdAt });
+        });
+};
+
+try {
+    closeInterruptedRequests();
+} catch (error) {
+    logger.error('Error recovering idempotency keys', { error: error.message });
+}
+
+// Serialise a value with sorted object keys so equivalent bodies hash the same
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hashes the parts of a request that must match for a duplicate to be replayed.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The request path.
+ * @param {object} body - The parsed request body.
+ * @returns {string} - The request fingerprint.
+ */
+const hashRequest = (method, path, body) => {
+    return crypto.createHash('sha256').update(`${method} ${path}\n${canonicalize(body || {})}`).digest('hex');
+};
+
+/**
+ * Validates an Idempotency-Key header value.
+ * @param {string} key - The header value.
+ */
+const validateKey = (key) => {
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        throw new Error(`Invalid Idempotency-Key. It must be between 1 and ${MAX_KEY_LENGTH} characters.`);
+    }
+};
+
+/**
+ * Registers a request under its key, unless the key is already known.
+ * @param {string} key - The (scoped) idempotency key.
+ * @param {string} fingerprint - The request fingerprint (see hashRequest).
+ * @returns {{state: string, record: object}} - state is 'new', 'processing', 'completed' or 'mismatch'.
+ */
+const beginRequest = (key, fingerprint) => {
+    const existing = storage.get('idempotencyKeys', key);
+    if (existing && existing.expiresAt >= Date.now()) {
+        if (existing.fingerprint !== fingerprint) {
+            return { state: 'mismatch', record: existing };
+        }
+        return { state: existing.status, record: existing };
+    }
+
+    const now = Date.now();
+    const record = storage.put('idempotencyKeys', {
+        key,
+        fingerprint,
+        status: 'processing',
+        statusCode: null,
+        body: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: now + IDEMPOTENCY_TTL_MS,
+    });
+    return { state: 'new', record };
+};
+
+/**
+ * Stores the response of a request so duplicates replay it.
+ * @param {string} key - The (scoped) idempotency key.
+ * @param {number} statusCode - The HTTP status of the response.
+ * @param {object} body - The response body.
+ */
+const completeRequest = (key, statusCode, body) => {
+    storage.update('idempotencyKeys', key, { status: 'completed', statusCode, body });
+};
+
+/**
+ * Forgets a request that ended without a stored response, so it can be retried.
+ * @param {string} key - The (scoped) idempotency key.
+ */
+const releaseRequest = (key) => {
+    const record = storage.get('idempotencyKeys', key);
+    if (record && record.status === 'processing') {
+        storage.remove('idempotencyKeys', key);
+    }
+};
+
+module.exports = {
+    hashRequest,
+    validateKey,
+    beginRequest,
+    completeRequest,
+    releaseRequest,
+};
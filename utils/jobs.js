@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const storage = require('./storage');
+const { ownsRecord } = require('./apiKeys');
+
+// Jobs created by execute routes running with `mode: "async"`. Running jobs are held in memory and every
+// change is written to the `jobs` storage collection, so finished jobs survive a restart for JOB_TTL_MS.
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours
+const TRANSACTION_STATUSES = ['queued', 'sent', 'success', 'fail', 'pending'];
+
+const jobs = new Map();
+
+// Emits 'update' with the job whenever a job or one of its transactions changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const touch = (job) => {
+    job.updatedAt = new Date().toISOString();
+    storage.put('jobs', job);
+    jobEvents.emit('update', job);
+    return job;
+};
+
+const requireJob = (jobId) => {
+    const job = jobs.get(jobId);
+    if (!job) {
+        throw new Error(`Job ${jobId} not found.`);
+    }
+    return job;
+};
+
+// Drop finished jobs older than the TTL
+const pruneJobs = () => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [jobId, job] of jobs) {
+        if (job.status !== 'running') {
+            jobs.delete(jobId); // Finished jobs are served from storage
+        }
+    }
+    storage.list('jobs')
+        .filter(job => job.status !== 'running' && Date.parse(job.updatedAt) < cutoff)
+        .forEach(job => storage.remove('jobs', job.id));
+};
+
+setInterval(() => {
+    try {
+        pruneJobs();
+    } catch (error) {
+        logger.error('Error pruning jobs', { error: error.message });
+    }
+}, 60 * 60 * 1000).unref();
+
+// Jobs still marked running in storage were interrupted by a restart
+const failInterruptedJobs = () => {
+    storage.list('jobs', { status: 'running' })
+        .forEach(job => {
+            storage.update('jobs', job.id, { status: 'failed', error: 'Interrupted by a server restart.', updatedAt: new Date().toISOString() });
+            logger.warn('Job interrupted by a server restart', { jobId: job.id });
+        });
+};
+
+try {
+    failInterruptedJobs();
+} catch (error) {
+    logger.error('Error recovering jobs', { error: error.message });
+}
+
+/**
+ * Creates a running job.
+ * @param {object} details - { route, network, walletAddress, usageFeeHash, owner, apiKeyId }; owner and apiKeyId come from the caller's key.
+ * @returns {object} - The job.
+ */
+const createJob = ({ route, network, walletAddress, usageFeeHash, owner, apiKeyId }) => {
+    const now = new Date().toISOString();
+    const job = {
+        id: `job_${crypto.randomBytes(12).toString('hex')}`,
+        owner,
+        apiKeyId,
+        route,
+        network,
+        walletAddress: walletAddress || null,
+        status: 'running',
+        usageFeeHash: usageFeeHash || null,
+        transactions: [],
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    jobs.set(job.id, job);
+    storage.insert('jobs', job);
+    jobEvents.emit('update', job);
+    return job;
+};
+
+/**
+ * Returns a job by ID.
+ * @param {string} jobId - The job ID.
+ * @param {string} [owner] - The caller's owner; jobs of other owners are not found.
+ * @returns {object|null} - The job, or null if unknown, expired or another owner's.
+ */
+const getJob = (jobId, owner) => {
+    const job = jobs.get(jobId) || storage.get('jobs', jobId);
+    return job && ownsRecord(job, owner) ? job : null;
+};
+
+/**
+ * Tells whether one of an owner's jobs (running or kept for JOB_TTL_MS) signs with a wallet.
+ * @param {string} walletAddress - The wallet address.
+ * @param {string} owner - The owner.
+ * @returns {boolean} - True if such a job exists.
+ */
+const hasWalletJob = (walletAddress, owner) => [...jobs.values(), ...storage.list('jobs', { walletAddress })]
+    .some(job => job.walletAddress === walletAddress && ownsRecord(job, owner));
+
+/**
+ * Adds a transaction to a job.
+ * @param {string} jobId - The job ID.
+ * @param {object} transaction - { kind, recipient, txHash, status }.
+ * @returns {number} - The index of the transaction within the job.
+ */
+const addTransaction = (jobId, transaction) => {
+    const job = requireJob(jobId);
+    const status = transaction.status || 'queued';
+    if (!TRANSACTION_STATUSES.includes(status)) {
+        throw new Error(`Invalid transaction status: ${status}`);
+    }
+
+    job.transactions.push({ txHash: null, error: null, ...transaction, status });
+    touch(job);
+    return job.transactions.length - 1;
+};
+
+/**
+ * Updates a transaction of a job.
+ * @param {string} jobId - The job ID.
+ * @param {number|string} ref - The transaction index, or its hash.
+ * @param {object} fields - Fields to merge (e.g. { status, txHash, error }).
+ */
+const updateTransaction = (jobId, ref, fields) => {
+    const job = requireJob(jobId);
+    const transaction = typeof ref === 'number'
+        ? job.transactions[ref]
+        : job.transactions.find(item => item.txHash === ref);
+    if (!transaction) {
+        return;
+    }
+    if (fields.status && !TRANSACTION_STATUSES.includes(fields.status)) {
+        throw new Error(`Invalid transaction status: ${fields.status}`);
+    }
+
+    Object.assign(transaction, fields);
+    touch(job);
+};
+
+/**
+ * Marks a job as completed with the response body the synchronous route would have returned.
+ * @param {string} jobId - The job ID.
+ * @param {object} result - The result.
+ */
+const completeJob = (jobId, result) => {
+    const job = requireJob(jobId);
+    job.status = 'completed';
+    job.result = result;
+    touch(job);
+};
+
+/**
+ * Marks a job as failed.
+ * @param {string} jobId - The job ID.
+ * @param {string} error - The error message.
+ */
+const failJob = (jobId, error) => {
+    const job = requireJob(jobId);
+    job.status = 'failed';
+    job.error = error;
+    touch(job);
+};
+
+/**
+ * Records the usage fee compensation of a failed job.
+ * @param {string} jobId - The job ID.
+ * @param {object} compensation - The compensation summary.
+ */
+const setCompensation = (jobId, compensation) => {
+    const job = requireJob(jobId);
+    job.compensation = compensation;
+    touch(job);
+};
+
+/**
+ * Resolves once the job has broadcast a transaction, or has finished.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object>} - The job.
+ */
+const waitForBroadcast = (jobId) => new Promise((resolve) => {
+    const isReady = (job) => job.status !== 'running' || job.transactions.some(tx => tx.txHash);
+
+    const job = requireJob(jobId);
+    if (isReady(job)) {
+        resolve(job);
+        return;
+    }
+
+    const onUpdate = (updated) => {
+        if (updated.id === jobId && isReady(updated)) {
+            jobEvents.off('update', onUpdate);
+            resolve(updated);
+        }
+    };
+    jobEvents.on('update', onUpdate);
+});
+
+/**
+ * Summarises the transaction statuses of a job.
+ * @param {object} job - The job.
+ * @returns {object} - Count per status.
+ */
+const summarizeJob = (job) => {
+    const progress = Object.fromEntries(TRANSACTION_STATUSES.map(status => [status, 0]));
+    job.transactions.forEach(tx => { progress[tx.status]++; });
+    return { total: job.transactions.length, ...progress };
+};
+
+module.exports = {
+    jobEvents,
+    createJob,
+    getJob,
+    hasWalletJob,
+    addTransaction,
+    updateTransaction,
+    completeJob,
+    failJob,
+    setCompensation,
+    waitForBroadcast,
+    summarizeJob,
+};
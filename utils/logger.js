@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger: one JSON object per line, filtered by LOG_LEVEL (see render.yaml).
+// Lines written while handling a request carry its requestId, including from background work it started.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Keys whose values are never logged, and PEM blocks wherever they appear in a string. Credential tokens are
+// matched by name only, so token identifiers (`token`, `feeToken`, ...) stay readable.
+const SECRET_KEY_PATTERN = /pem|secret|password|passphrase|mnemonic|keystore|privatekey|authorization|cookie|apikey|api-key|bearer|(access|refresh|auth|session|secure|admin)[-_]?token/i;
+const PEM_PATTERN = /-----BEGIN [^-]+-----[\s\S]*?(-----END [^-]+-----|$)/g;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+const redactString = (value) => value.replace(PEM_PATTERN, REDACTED);
+
+/**
+ * Returns a copy of a value that is safe to log: secret keys are masked and PEM blocks removed.
+ * @param {*} value - The value.
+ * @param {number} [depth] - Current depth, nested values beyond MAX_DEPTH are dropped.
+ * @returns {*} - The redacted copy.
+ */
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message || ''), stack: value.stack ? redactString(value.stack) : undefined };
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1),
+    ]));
+};
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LOG_LEVEL) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(String(message)),
+        ...(context || {}),
+        ...redact(fields),
+    };
+
+    const output = JSON.stringify(line);
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(`${output}\n`);
+    } else {
+        process.stdout.write(`${output}\n`);
+    }
+};
+
+/**
+ * Express middleware assigning a correlation ID to each request. A valid incoming X-Request-Id is reused,
+ * the ID is returned in the X-Request-Id response header and attached to every log line of the request.
+ */
+const requestLogger = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const start = Date.now();
+    requestContext.run({ requestId }, () => {
+        res.on('finish', () => {
+            write('info', 'Request completed', {
+                requestId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Date.now() - start,
+            });
+        });
+        next();
+    });
+};
+
+/**
+ * Adds fields (e.g. the API key ID) to every following log line of the current request.
+ * @param {object} fields - The fields.
+ */
+const addContext = (fields) => {
+    const context = requestContext.getStore();
+    if (context) {
+        Object.assign(context, fields);
+    }
+};
+
+module.exports = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    redact,
+    requestLogger,
+    addContext,
+};
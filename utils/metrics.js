@@ -0,0 +1,111 @@
+// In-process metrics rendered in the Prometheus text exposition format on GET /metrics
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]; // Seconds
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their sorted label set
+const seriesKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+
+/**
+ * Creates a counter.
+ * @param {string} name - The metric name.
+ * @param {string} help - The metric description.
+ * @returns {object} - The counter: inc(labels, value).
+ */
+const createCounter = (name, help) => {
+    const series = new Map();
+    const counter = {
+        inc: (labels = {}, value = 1) => {
+            const key = seriesKey(labels);
+            const current = series.get(key) || { labels, value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+        ],
+    };
+    metrics.push(counter);
+    return counter;
+};
+
+/**
+ * Creates a histogram.
+ * @param {string} name - The metric name.
+ * @param {string} help - The metric description.
+ * @param {Array<number>} [buckets] - The upper bounds of the buckets.
+ * @returns {object} - The histogram: observe(labels, value).
+ */
+const createHistogram = (name, help, buckets = DURATION_BUCKETS) => {
+    const series = new Map();
+    const histogram = {
+        observe: (labels = {}, value) => {
+            const key = seriesKey(labels);
+            const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    current.counts[index]++;
+                }
+            });
+            current.sum += value;
+            current.count++;
+            series.set(key, current);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`,
+            ]),
+        ],
+    };
+    metrics.push(histogram);
+    return histogram;
+};
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests by method, route and status code.');
+const httpRequestDuration = createHistogram('http_request_duration_seconds', 'HTTP request latency by method and route.');
+const transactions = createCounter('transactions_total', 'Transactions by kind and status (sent, succeeded, failed).');
+const usageFeesCharged = createCounter('usage_fees_charged_total', 'Usage fee transactions confirmed.');
+const statusPollRetries = createCounter('status_poll_retries_total', 'Transaction status lookups that had to be retried.');
+const nonceResyncs = createCounter('nonce_resyncs_total', 'Nonce recoveries by reason (gap, accountAhead, nonceTooLow, nonceTooHigh).');
+const priceSourceFailures = createCounter('price_source_failures_total', 'Price lookups that failed or were rejected, by source and token.');
+
+/**
+ * Renders every metric in the Prometheus text format.
+ * @returns {string} - The exposition text.
+ */
+const renderMetrics = () => {
+    const uptime = [
+        '# HELP process_uptime_seconds Time since the process started.',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${process.uptime()}`,
+    ];
+    return [...metrics.flatMap(metric => metric.render()), ...uptime].join('\n') + '\n';
+};
+
+module.exports = {
+    httpRequests,
+    httpRequestDuration,
+    transactions,
+    usageFeesCharged,
+    statusPollRetries,
+    nonceResyncs,
+    priceSourceFailures,
+    renderMetrics,
+};
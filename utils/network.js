@@ -0,0 +1,101 @@
+const { ProxyNetworkProvider } = require('@multiversx/sdk-network-providers');
+
+// Built-in network profiles. Every field can be overridden per profile with
+// environment variables such as DEVNET_GATEWAY_URL, DEVNET_API_URL or DEVNET_CHAIN_ID.
+const NETWORK_PROFILES = {
+    mainnet: {
+        chainId: "1",
+        gatewayUrl: "https://gateway.multiversx.com",
+        apiUrl: "https://api.multiversx.com",
+    },
+    devnet: {
+        chainId: "D",
+        gatewayUrl: "https://devnet-gateway.multiversx.com",
+        apiUrl: "https://devnet-api.multiversx.com",
+    },
+    testnet: {
+        chainId: "T",
+        gatewayUrl: "https://testnet-gateway.multiversx.com",
+        apiUrl: "https://testnet-api.multiversx.com",
+    },
+    localnet: {
+        chainId: "localnet",
+        gatewayUrl: "http://localhost:7950",
+        apiUrl: "http://localhost:3001",
+    },
+};
+
+// Default profile, selected with CHAIN (see render.yaml)
+const DEFAULT_NETWORK = (process.env.CHAIN || "mainnet").toLowerCase();
+
+// Profiles that may be selected per request (comma separated), all by default
+const ALLOWED_NETWORKS = process.env.ALLOWED_NETWORKS
+    ? process.env.ALLOWED_NETWORKS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(NETWORK_PROFILES);
+
+const profileCache = {};
+
+/**
+ * Builds a profile from its defaults and the environment overrides.
+ * The legacy CHAIN_ID, GATEWAY_URL and API_PROVIDER variables apply to the default profile only.
+ * @param {string} name - The profile name.
+ * @returns {object} - The resolved profile.
+ */
+const buildProfile = (name) => {
+    const defaults = NETWORK_PROFILES[name];
+    const prefix = name.toUpperCase();
+    const isDefault = name === DEFAULT_NETWORK;
+
+    const chainId = process.env[`${prefix}_CHAIN_ID`] || (isDefault && process.env.CHAIN_ID) || defaults.chainId;
+    const gatewayUrl = (process.env[`${prefix}_GATEWAY_URL`] || (isDefault && process.env.GATEWAY_URL) || defaults.gatewayUrl).replace(/\/+$/, '');
+    const apiUrl = (process.env[`${prefix}_API_URL`] || (isDefault && process.env.API_PROVIDER) || defaults.apiUrl).replace(/\/+$/, '');
+
+    return {
+        name,
+        chainId,
+        gatewayUrl,
+        apiUrl,
+        provider: new ProxyNetworkProvider(gatewayUrl, { clientName: "javascript-api" }),
+    };
+};
+
+/**
+ * Returns a network profile with its gateway provider.
+ * @param {string} [name] - The profile name (mainnet, devnet, testnet, localnet). Defaults to CHAIN.
+ * @returns {object} - The profile: { name, chainId, gatewayUrl, apiUrl, provider }.
+ */
+const getNetwork = (name) => {
+    const profileName = (name || DEFAULT_NETWORK).toLowerCase();
+
+    if (!NETWORK_PROFILES[profileName]) {
+        throw new Error(`Unknown network "${profileName}". Supported networks: ${Object.keys(NETWORK_PROFILES).join(', ')}.`);
+    }
+    if (name && profileName !== DEFAULT_NETWORK && !ALLOWED_NETWORKS.includes(profileName)) {
+        throw new Error(`Network "${profileName}" is not enabled on this server.`);
+    }
+
+    if (!profileCache[profileName]) {
+        profileCache[profileName] = buildProfile(profileName);
+    }
+    return profileCache[profileName];
+};
+
+/**
+ * Lists the profiles that can be selected per request, without their providers.
+ * @returns {Array<object>} - The selectable profiles.
+ */
+const listNetworks = () => {
+    const names = new Set([DEFAULT_NETWORK, ...ALLOWED_NETWORKS]);
+    return [...names]
+        .filter(name => NETWORK_PROFILES[name])
+        .map(name => {
+            const { provider, ...profile } = getNetwork(name);
+            return { ...profile, default: name === DEFAULT_NETWORK };
+        });
+};
+
+module.exports = {
+    NETWORK_PROFILES,
+    getNetwork,
+    listNetworks,
+};
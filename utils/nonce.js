@@ -1,35 +1,245 @@
-const { ProxyNetworkProvider } = require('@multiversx/sdk-network-providers');
-const provider = new ProxyNetworkProvider(process.env.API_BASE_URL || "https://api.multiversx.com");
+const { getNetwork } = require('./network');
 
-let currentNonceCache = {};
+// Nonce manager: allocation is serialised per sender so concurrent requests never share a nonce.
+// Every allocated nonce is tracked until it is broadcast or released; nonces that were allocated but
+// never broadcast are gaps and are handed out again before any new nonce.
+const NONCE_SYNC_MS = Number(process.env.NONCE_SYNC_MS) || 30000; // Resync with the account every 30 seconds
+const NONCE_ALLOCATION_TTL_MS = 60000; // An allocation not broadcast within a minute is considered abandoned
+
+const senders = {};
+
+// Nonces are tracked per network, as the same address has independent accounts on each chain
+const cacheKey = (address, network) => `${network.name}:${address.toString()}`;
+
+const getState = (address, network) => {
+    const key = cacheKey(address, network);
+    if (!senders[key]) {
+        senders[key] = {
+            nextNonce: undefined,
+            syncedAt: 0,
+            allocated: new Map(), // nonce -> allocation time
+            broadcast: new Set(),
+            free: new Set(),
+            lock: Promise.resolve(),
+        };
+    }
+    return senders[key];
+};
+
+// Run `task` once every previous task of the same sender has finished
+const withLock = (state, task) => {
+    const result = state.lock.then(task);
+    state.lock = result.catch(() => {});
+    return result;
+};
+
+const fetchAccountNonce = async (address, network) => {
+    const account = await network.provider.getAccount(address);
+    return Number(account.nonce);
+};
+
+// Align the local state with the account nonce and collect the gaps below the next nonce
+const syncState = async (state, address, network) => {
+    const accountNonce = await fetchAccountNonce(address, network);
+    const recoveries = [];
+    const previousNextNonce = state.nextNonce;
+
+    state.syncedAt = Date.now();
+
+    if (state.nextNonce === undefined) {
+        state.nextNonce = accountNonce;
+        return recoveries;
+    }
+
+    // Everything below the account nonce has been executed
+    [state.broadcast, state.free].forEach(set => {
+        [...set].filter(nonce => nonce < accountNonce).forEach(nonce => set.delete(nonce));
+    });
+
+    if (accountNonce > state.nextNonce) {
+        // Transactions were sent from elsewhere (another instance, a wallet app)
+        state.nextNonce = accountNonce;
+        state.free.clear();
+        recoveries.push({ type: 'resync', reason: 'accountAhead', accountNonce, previousNonce: previousNextNonce });
+        return recoveries;
+    }
+
+    // Abandoned allocations become gaps
+    const now = Date.now();
+    for (const [nonce, allocatedAt] of state.allocated) {
+        if (now - allocatedAt > NONCE_ALLOCATION_TTL_MS) {
+            state.allocated.delete(nonce);
+        }
+    }
+
+    // Any nonce between the account nonce and the next nonce that is neither broadcast nor in use is a gap
+    for (let nonce = accountNonce; nonce < state.nextNonce; nonce++) {
+        if (!state.broadcast.has(nonce) && !state.allocated.has(nonce) && !state.free.has(nonce)) {
+            state.free.add(nonce);
+            recoveries.push({ type: 'gap', nonce, accountNonce });
+        }
+    }
+
+    return recoveries;
+};
+
+/**
+ * Allocates the next nonce for a sender. Gaps are filled before new nonces are handed out.
+ * @param {string} address - The sender's wallet address.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @returns {Promise<{nonce: number, recoveries: Array<object>}>} - The nonce and any recovery performed.
+ */
+const allocateNonce = (address, network = getNetwork()) => {
+    const state = getState(address, network);
+
+    return withLock(state, async () => {
+        let recoveries = [];
+        if (state.nextNonce === undefined || Date.now() - state.syncedAt > NONCE_SYNC_MS) {
+            recoveries = await syncState(state, address, network);
+        }
+
+        let nonce;
+        if (state.free.size > 0) {
+            nonce = Math.min(...state.free);
+            state.free.delete(nonce);
+        } else {
+            nonce = state.nextNonce++;
+        }
+
+        state.allocated.set(nonce, Date.now());
+        return { nonce, recoveries };
+    });
+};
+
+/**
+ * Returns the nonce the next allocation would hand out (the lowest gap, or a new nonce) without allocating it.
+ * Used by dry runs, so they report the nonce a real send would use.
+ * @param {string} address - The sender's wallet address.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @returns {Promise<number>} - The nonce.
+ */
+const peekNonce = (address, network = getNetwork()) => {
+    const state = getState(address, network);
+
+    return withLock(state, async () => {
+        if (state.nextNonce === undefined || Date.now() - state.syncedAt > NONCE_SYNC_MS) {
+            await syncState(state, address, network);
+        }
+        return state.free.size > 0 ? Math.min(...state.free) : state.nextNonce;
+    });
+};
+
+/**
+ * Records that the transaction holding an allocated nonce was accepted by the gateway.
+ * @param {string} address - The sender's wallet address.
+ * @param {number} nonce - The nonce.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ */
+const confirmBroadcast = (address, nonce, network = getNetwork()) => {
+    const state = getState(address, network);
+    state.allocated.delete(nonce);
+    state.broadcast.add(nonce);
+};
+
+/**
+ * Returns an allocated nonce whose transaction was not broadcast, so the next allocation reuses it.
+ * @param {string} address - The sender's wallet address.
+ * @param {number} nonce - The nonce.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ */
+const releaseNonce = (address, nonce, network = getNetwork()) => {
+    const state = getState(address, network);
+    if (state.allocated.delete(nonce)) {
+        state.free.add(nonce);
+    }
+};
+
+/**
+ * Resynchronises a sender with its account after the gateway rejected a nonce.
+ * @param {string} address - The sender's wallet address.
+ * @param {string} reason - 'nonceTooLow' or 'nonceTooHigh'.
+ * @param {number} rejectedNonce - The nonce the gateway rejected.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
+ * @returns {Promise<object>} - The recovery performed.
+ */
+const resyncNonce = (address, reason, rejectedNonce, network = getNetwork()) => {
+    const state = getState(address, network);
+
+    return withLock(state, async () => {
+        const accountNonce = await fetchAccountNonce(address, network);
+        const previousNonce = state.nextNonce;
+
+        state.allocated.delete(rejectedNonce);
+        state.syncedAt = Date.now();
+
+        if (reason === 'nonceTooHigh') {
+            // We ran too far ahead of the account: start again from the account nonce
+            state.nextNonce = accountNonce;
+            state.free.clear();
+            state.broadcast.clear();
+        } else {
+            // The rejected nonce is taken: never hand it out again
+            state.nextNonce = Math.max(accountNonce, state.nextNonce, rejectedNonce + 1);
+            [...state.free].filter(nonce => nonce <= rejectedNonce || nonce < accountNonce).forEach(nonce => state.free.delete(nonce));
+        }
+
+        return { type: 'resync', reason, rejectedNonce, accountNonce, previousNonce };
+    });
+};
+
+/**
+ * Tells whether a gateway error is a nonce rejection.
+ * @param {Error} error - The error thrown by sendTransaction.
+ * @returns {string|null} - 'nonceTooLow', 'nonceTooHigh' or null.
+ */
+const classifyNonceError = (error) => {
+    const message = `${error && error.message} ${JSON.stringify((error && error.response && error.response.data) || '')}`;
+    if (/lowerNonceInTx:\s*true|nonce too low/i.test(message)) {
+        return 'nonceTooLow';
+    }
+    if (/veryHighNonceInTx:\s*true|nonce too high/i.test(message)) {
+        return 'nonceTooHigh';
+    }
+    return null;
+};
 
 /**
  * Fetches the current nonce from the blockchain or the local cache.
  * @param {string} address - The sender's wallet address.
  * @param {boolean} refresh - If true, fetches the latest nonce from the chain.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
  * @returns {number} - The nonce to use.
  */
-const getNonce = async (address, refresh = false) => {
-    if (refresh || !currentNonceCache[address]) {
-        const account = await provider.getAccount(address);
-        currentNonceCache[address] = account.nonce;
+const getNonce = async (address, refresh = false, network = getNetwork()) => {
+    const state = getState(address, network);
+    if (refresh || state.nextNonce === undefined) {
+        await withLock(state, () => syncState(state, address, network));
     }
-    return currentNonceCache[address];
+    return state.nextNonce;
 };
 
 /**
  * Increment and lock the nonce for the address.
  * @param {string} address - The sender's wallet address.
+ * @param {object} [network] - The network profile (see utils/network.js). Defaults to CHAIN.
  * @returns {number} - The incremented nonce.
  */
-const incrementNonce = (address) => {
-    if (!currentNonceCache[address]) {
+const incrementNonce = (address, network = getNetwork()) => {
+    const state = getState(address, network);
+    if (state.nextNonce === undefined) {
         throw new Error(`Nonce for address ${address} is not initialized.`);
     }
-    return ++currentNonceCache[address];
+    state.broadcast.add(state.nextNonce);
+    return ++state.nextNonce;
 };
 
 module.exports = {
+    allocateNonce,
+    peekNonce,
+    confirmBroadcast,
+    releaseNonce,
+    resyncNonce,
+    classifyNonceError,
     getNonce,
     incrementNonce,
 };
@@ -0,0 +1,309 @@
+const axios = require('axios');
+const BigNumber = require('bignumber.js');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const storage = require('./storage');
+
+// USD prices of the fee tokens. A static admin override for the network (stored in the `priceOverrides`
+// collection) wins while it is valid; otherwise the PRICE_SOURCES are tried in order and the first sane price is cached
+// for PRICE_CACHE_TTL_SECONDS. When every source fails, the last good price is served until it is
+// older than PRICE_MAX_AGE_SECONDS.
+const PRICE_SOURCES = (process.env.PRICE_SOURCES || 'api,xexchange')
+    .split(',')
+    .map(source => source.trim().toLowerCase())
+    .filter(Boolean);
+const CACHE_TTL_MS = (Number(process.env.PRICE_CACHE_TTL_SECONDS) || 60) * 1000;
+const MAX_AGE_MS = (Number(process.env.PRICE_MAX_AGE_SECONDS) || 15 * 60) * 1000;
+// A fetched price moving more than this from the last good one is treated as a bad quote (0 disables the check)
+const MAX_DEVIATION_PERCENT = process.env.PRICE_MAX_DEVIATION_PERCENT !== undefined
+    ? Number(process.env.PRICE_MAX_DEVIATION_PERCENT)
+    : 50;
+
+// Parse "REWARD-cf6eac=erd1...,OTHER-123456=erd1..." into { 'REWARD-cf6eac': 'erd1...' }
+const XEXCHANGE_PAIRS = Object.fromEntries((process.env.XEXCHANGE_PAIRS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([token, pair]) => token && pair));
+
+// Parse "REWARD-cf6eac=1:100000,EGLD=0.00001:0.1" into { 'REWARD-cf6eac': { min: '1', max: '100000' } }.
+// A fee token without a maximum cannot be charged, so the default fee tokens ship with limits.
+const DEFAULT_FEE_AMOUNT_LIMITS = 'REWARD-cf6eac=1:100000,EGLD=0.00001:0.1';
+const FEE_AMOUNT_LIMITS = Object.fromEntries((process.env.FEE_AMOUNT_LIMITS || DEFAULT_FEE_AMOUNT_LIMITS)
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([token, range]) => token && range)
+    .map(([token, range]) => {
+        const [min, max] = range.split(':').map(part => part.trim());
+        return [token, { min: min || null, max: max || null }];
+    }));
+
+// "<network>:<token>" -> { price, source, fetchedAt }
+const cache = new Map();
+// "<network>:<token>" -> pending lookup, shared by concurrent requests
+const inflight = new Map();
+const decimalsCache = new Map();
+
+const HTTP_TIMEOUT = 10000;
+
+// --------------- Sources --------------- //
+
+// MultiversX API: /economics for EGLD, /tokens/:identifier for ESDTs
+const fetchApiPrice = async (token, network) => {
+    const url = token === 'EGLD' ? `${network.apiUrl}/economics` : `${network.apiUrl}/tokens/${token}`;
+    const response = await axios.get(url, { timeout: HTTP_TIMEOUT });
+    if (!response.data || !response.data.price) {
+        throw new Error(`No price for ${token} in the API response`);
+    }
+    return new BigNumber(response.data.price);
+};
+
+const getDecimals = async (token, network) => {
+    const key = `${network.name}:${token}`;
+    if (!decimalsCache.has(key)) {
+        const response = await axios.get(`${network.apiUrl}/tokens/${token}`, { timeout: HTTP_TIMEOUT });
+        decimalsCache.set(key, response.data.decimals || 0);
+    }
+    return decimalsCache.get(key);
+};
+
+// Run a view function of a smart contract and return its base64 results
+const queryContract = async (network, scAddress, funcName) => {
+    const response = await axios.post(`${network.gatewayUrl}/vm-values/query`, { scAddress, funcName, args: [] }, { timeout: HTTP_TIMEOUT });
+    const returnData = response.data && response.data.data && response.data.data.data && response.data.data.data.returnData;
+    if (!Array.isArray(returnData)) {
+        throw new Error(`${funcName} returned no data`);
+    }
+    return returnData.map(item => Buffer.from(item || '', 'base64'));
+};
+
+const toBigNumber = (buffer) => (buffer.length > 0 ? new BigNumber(buffer.toString('hex'), 16) : new BigNumber(0));
+
+// xExchange: the price of `token` in the other token of its pair (XEXCHANGE_PAIRS), from the pool
+// reserves, times the USD price of that token (WEGLD counts as EGLD)
+const fetchXExchangePrice = async (token, network) => {
+    const pairAddress = XEXCHANGE_PAIRS[token];
+    if (!pairAddress) {
+        throw new Error(`No xExchange pair configured for ${token}`);
+    }
+
+    const [[firstToken], [secondToken], [firstReserve, secondReserve]] = await Promise.all([
+        queryContract(network, pairAddress, 'getFirstTokenId'),
+        queryContract(network, pairAddress, 'getSecondTokenId'),
+        queryContract(network, pairAddress, 'getReservesAndTotalSupply'),
+    ]);
+    const tokens = [firstToken.toString(), secondToken.toString()];
+    const reserves = [toBigNumber(firstReserve), toBigNumber(secondReserve)];
+    const index = tokens.indexOf(token);
+    if (index === -1) {
+        throw new Error(`Pair ${pairAddress} does not trade ${token}`);
+    }
+    const quoteToken = tokens[1 - index];
+
+    const [tokenDecimals, quoteDecimals] = await Promise.all([getDecimals(token, network), getDecimals(quoteToken, network)]);
+    const tokenReserve = reserves[index].shiftedBy(-tokenDecimals);
+    const quoteReserve = reserves[1 - index].shiftedBy(-quoteDecimals);
+    if (tokenReserve.isZero() || quoteReserve.isZero()) {
+        throw new Error(`Pair ${pairAddress} has an empty reserve`);
+    }
+
+    const quotePrice = await getPrice(quoteToken.startsWith('WEGLD-') ? 'EGLD' : quoteToken, network);
+    return quoteReserve.dividedBy(tokenReserve).multipliedBy(quotePrice.price);
+};
+
+const SOURCES = {
+    api: fetchApiPrice,
+    xexchange: fetchXExchangePrice,
+};
+
+PRICE_SOURCES.forEach(source => {
+    if (!SOURCES[source]) {
+        throw new Error(`Unknown price source "${source}". Use: ${Object.keys(SOURCES).join(', ')}.`);
+    }
+});
+
+// --------------- Overrides --------------- //
+
+// Overrides are stored per network: "<network>:<token>"
+const overrideId = (networkName, token) => `${networkName}:${token}`;
+
+// The stored override of a token on a network, if it has not expired
+const getActiveOverride = (token, networkName) => {
+    const override = storage.get('priceOverrides', overrideId(networkName, token));
+    if (!override || (override.expiresAt && Date.parse(override.expiresAt) <= Date.now())) {
+        return null;
+    }
+    return override;
+};
+
+/**
+ * Sets a static USD price for a token on a network, used instead of the sources until it expires or is removed.
+ * @param {string} networkName - The network profile name.
+ * @param {string} token - The token identifier, or "EGLD".
+ * @param {number|string} usdPrice - The price in USD.
+ * @param {string} [expiresAt] - ISO date after which the sources are used again.
+ * @returns {object} - The stored override.
+ */
+const setOverride = (networkName, token, usdPrice, expiresAt = null) => {
+    const price = new BigNumber(usdPrice);
+    if (!token || typeof token !== 'string') {
+        throw new Error('token is required.');
+    }
+    if (!price.isFinite() || !price.isGreaterThan(0)) {
+        throw new Error('usdPrice must be a positive number.');
+    }
+    if (expiresAt && isNaN(Date.parse(expiresAt))) {
+        throw new Error('expiresAt must be a date.');
+    }
+    return storage.put('priceOverrides', {
+        id: overrideId(networkName, token),
+        network: networkName,
+        token,
+        usdPrice: price.toFixed(),
+        expiresAt: expiresAt || null,
+        createdAt: new Date().toISOString(),
+    });
+};
+
+/**
+ * Removes the override of a token on a network.
+ * @param {string} networkName - The network profile name.
+ * @param {string} token - The token identifier.
+ * @returns {boolean} - True if an override was removed.
+ */
+const removeOverride = (networkName, token) => storage.remove('priceOverrides', overrideId(networkName, token));
+
+// --------------- Lookup --------------- //
+
+const describe = (token, { price, source, fetchedAt }, stale = false) => ({
+    token,
+    price: price.toNumber(),
+    source,
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    ageSeconds: Math.floor((Date.now() - fetchedAt) / 1000),
+    stale,
+});
+
+// Reject prices that are not positive, or too far from the last good one
+const checkSanity = (token, price, previous) => {
+    if (!price.isFinite() || !price.isGreaterThan(0)) {
+        throw new Error(`Invalid ${token} price: ${price.toFixed()}`);
+    }
+    if (MAX_DEVIATION_PERCENT > 0 && previous && Date.now() - previous.fetchedAt <= MAX_AGE_MS) {
+        const deviation = price.minus(previous.price).abs().dividedBy(previous.price).multipliedBy(100);
+        if (deviation.isGreaterThan(MAX_DEVIATION_PERCENT)) {
+            throw new Error(`${token} price ${price.toFixed()} moved ${deviation.toFixed(1)}% from ${previous.price.toFixed()}`);
+        }
+    }
+};
+
+const fetchFromSources = async (token, network, key) => {
+    const previous = cache.get(key);
+    const errors = [];
+    for (const source of PRICE_SOURCES) {
+        try {
+            const price = await SOURCES[source](token, network);
+            checkSanity(token, price, previous);
+            const entry = { price, source, fetchedAt: Date.now() };
+            cache.set(key, entry);
+            return describe(token, entry);
+        } catch (error) {
+            metrics.priceSourceFailures.inc({ source, token });
+            errors.push(`${source}: ${error.message}`);
+        }
+    }
+
+    if (previous && Date.now() - previous.fetchedAt <= MAX_AGE_MS) {
+        logger.warn('Every price source failed, using the last good price', { token, network: network.name, errors });
+        return describe(token, previous, true);
+    }
+    throw new Error(`No ${token} price available (${errors.join('; ')})`);
+};
+
+/**
+ * Returns the USD price of a token: the admin override of the network, the cached price, or a fresh one from the sources.
+ * @param {string} token - The token identifier, or "EGLD".
+ * @param {object} network - The network profile.
+ * @returns {Promise<object>} - { token, price, source (override, api, xexchange), fetchedAt, ageSeconds, stale }.
+ * @throws {Error} - If no source answers with a sane price and no recent one is cached.
+ */
+const getPrice = async (token, network) => {
+    const override = getActiveOverride(token, network.name);
+    if (override) {
+        return describe(token, { price: new BigNumber(override.usdPrice), source: 'override', fetchedAt: Date.parse(override.createdAt) });
+    }
+
+    const key = `${network.name}:${token}`;
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+        return describe(token, cached);
+    }
+
+    if (!inflight.has(key)) {
+        inflight.set(key, fetchFromSources(token, network, key).finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+};
+
+/**
+ * Tells whether FEE_AMOUNT_LIMITS sets a maximum fee amount for a token; fees are never charged in a token without one.
+ * @param {string} token - The token identifier, or "EGLD".
+ * @returns {boolean} - True if the token has a maximum.
+ */
+const hasMaxFeeAmount = (token) => Boolean(FEE_AMOUNT_LIMITS[token] && FEE_AMOUNT_LIMITS[token].max !== null);
+
+/**
+ * Keeps a fee amount within the FEE_AMOUNT_LIMITS of its token, so a bad price cannot turn into an absurd charge.
+ * @param {string} token - The token identifier, or "EGLD".
+ * @param {BigNumber|string} amount - The amount in token units (not base units).
+ * @returns {object} - { amount (BigNumber), clampedAt (min / max / null) }.
+ * @throws {Error} - If the token has no maximum in FEE_AMOUNT_LIMITS.
+ */
+const clampFeeAmount = (token, amount) => {
+    if (!hasMaxFeeAmount(token)) {
+        throw new Error(`No maximum fee amount configured for ${token} in FEE_AMOUNT_LIMITS; refusing to charge an unbounded fee.`);
+    }
+    const limits = FEE_AMOUNT_LIMITS[token];
+    const value = new BigNumber(amount);
+    if (limits.min !== null && value.isLessThan(limits.min)) {
+        return { amount: new BigNumber(limits.min), clampedAt: 'min' };
+    }
+    if (value.isGreaterThan(limits.max)) {
+        return { amount: new BigNumber(limits.max), clampedAt: 'max' };
+    }
+    return { amount: value, clampedAt: null };
+};
+
+/**
+ * Reports the oracle state of the given tokens: current price, source and age, plus overrides and config.
+ * @param {Array<string>} tokens - The tokens to report.
+ * @param {object} network - The network profile.
+ * @returns {Promise<object>} - { network, sources, cacheTtlSeconds, maxAgeSeconds, prices, overrides }.
+ */
+const getOracleStatus = async (tokens, network) => {
+    const prices = await Promise.all(tokens.map(async token => {
+        try {
+            return { ...(await getPrice(token, network)), amountLimits: FEE_AMOUNT_LIMITS[token] || null };
+        } catch (error) {
+            return { token, error: error.message, amountLimits: FEE_AMOUNT_LIMITS[token] || null };
+        }
+    }));
+    return {
+        network: network.name,
+        sources: PRICE_SOURCES,
+        cacheTtlSeconds: CACHE_TTL_MS / 1000,
+        maxAgeSeconds: MAX_AGE_MS / 1000,
+        maxDeviationPercent: MAX_DEVIATION_PERCENT,
+        xExchangePairs: XEXCHANGE_PAIRS,
+        prices,
+        overrides: storage.list('priceOverrides', { network: network.name }),
+    };
+};
+
+module.exports = {
+    getPrice,
+    hasMaxFeeAmount,
+    clampFeeAmount,
+    setOverride,
+    removeOverride,
+    getOracleStatus,
+};
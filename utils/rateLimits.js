@@ -0,0 +1,239 @@
+const BigNumber = require('bignumber.js');
+const logger = require('./logger');
+const storage = require('./storage');
+
+// Request rate limits (requests per minute) and daily quotas (transactions, recipients and amount per token)
+// for every API key and sender wallet. Counters are kept in the `rateLimits` storage collection, so a restart
+// does not reset them; daily quotas reset at 00:00 UTC.
+// A limit of 0 (or unset) means unlimited.
+const MINUTE_MS = 60 * 1000;
+
+// Parse "EGLD=10,REWARD-cf6eac=5000" into { EGLD: '10', 'REWARD-cf6eac': '5000' }
+const parseAmountQuotas = (value) => Object.fromEntries((value || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([token, amount]) => token && amount));
+
+const DEFAULT_LIMITS = {
+    key: {
+        requestsPerMinute: Number(process.env.RATE_LIMIT_PER_MINUTE) || 60,
+        dailyTransactions: Number(process.env.DAILY_TRANSACTION_QUOTA) || 0,
+        dailyRecipients: Number(process.env.DAILY_RECIPIENT_QUOTA) || 0,
+        dailyAmounts: parseAmountQuotas(process.env.DAILY_AMOUNT_QUOTA),
+    },
+    wallet: {
+        requestsPerMinute: Number(process.env.WALLET_RATE_LIMIT_PER_MINUTE) || 30,
+        dailyTransactions: Number(process.env.WALLET_DAILY_TRANSACTION_QUOTA) || 0,
+        dailyRecipients: Number(process.env.WALLET_DAILY_RECIPIENT_QUOTA) || 0,
+        dailyAmounts: parseAmountQuotas(process.env.WALLET_DAILY_AMOUNT_QUOTA),
+    },
+};
+
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+const secondsUntilNextDay = () => {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight.getTime() - Date.now()) / 1000);
+};
+
+const emptyDay = () => ({ date: currentDay(), transactions: 0, recipients: 0, amounts: {} });
+
+// Forget subjects with no activity in the current minute or day
+setInterval(() => {
+    try {
+        const today = currentDay();
+        const now = Date.now();
+        storage.list('rateLimits')
+            .filter(counter => counter.day.date !== today && counter.window.start + MINUTE_MS <= now)
+            .forEach(counter => storage.remove('rateLimits', counter.subject));
+    } catch (error) {
+        logger.error('Error pruning rate limit counters', { error: error.message });
+    }
+}, 60 * 60 * 1000).unref();
+
+// The counter of a subject ("key:<keyId>" or "wallet:<address>"): { subject, limits, window, day }
+const getCounter = (subject, limits) => {
+    const now = Date.now();
+    const counter = storage.get('rateLimits', subject) || { subject, window: { start: now, count: 0 }, day: emptyDay() };
+    if (counter.window.start + MINUTE_MS <= now) {
+        counter.window = { start: now, count: 0 };
+    }
+    if (counter.day.date !== currentDay()) {
+        counter.day = emptyDay();
+    }
+    counter.limits = limits;
+    return counter;
+};
+
+// Thrown when a limit is reached; retryAfter (seconds) is sent in the Retry-After header
+const limitError = (message, retryAfter) => {
+    const error = new Error(message);
+    error.retryAfter = Math.max(retryAfter, 1);
+    return error;
+};
+
+/**
+ * Validates per-key limit overrides (same fields as DEFAULT_LIMITS.key).
+ * @param {object} limits - { requestsPerMinute, dailyTransactions, dailyRecipients, dailyAmounts }; all optional.
+ */
+const validateLimits = (limits) => {
+    if (limits === undefined || limits === null) {
+        return;
+    }
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error('limits must be an object.');
+    }
+    ['requestsPerMinute', 'dailyTransactions', 'dailyRecipients'].forEach(field => {
+        if (limits[field] !== undefined && (!Number.isInteger(limits[field]) || limits[field] < 0)) {
+            throw new Error(`limits.${field} must be a non-negative integer.`);
+        }
+    });
+    if (limits.dailyAmounts !== undefined) {
+        const amounts = limits.dailyAmounts;
+        if (!amounts || typeof amounts !== 'object' || Object.values(amounts).some(amount => new BigNumber(amount).isNaN() || new BigNumber(amount).isNegative())) {
+            throw new Error('limits.dailyAmounts must map token identifiers to non-negative amounts.');
+        }
+    }
+};
+
+// The subjects a request counts against, with their effective limits
+const resolveSubjects = (apiKey, walletAddress) => {
+    const subjects = [];
+    if (apiKey) {
+        const overrides = apiKey.limits || {};
+        subjects.push({
+            subject: `key:${apiKey.keyId}`,
+            limits: {
+                ...DEFAULT_LIMITS.key,
+                ...overrides,
+                dailyAmounts: { ...DEFAULT_LIMITS.key.dailyAmounts, ...(overrides.dailyAmounts || {}) },
+            },
+        });
+    }
+    if (walletAddress) {
+        subjects.push({ subject: `wallet:${walletAddress}`, limits: DEFAULT_LIMITS.wallet });
+    }
+    return subjects;
+};
+
+// Throw if adding `usage` would exceed a daily quota of the counter
+const checkQuota = (subject, counter, usage) => {
+    const { limits, day } = counter;
+    if (limits.dailyTransactions && day.transactions + usage.transactions > limits.dailyTransactions) {
+        throw limitError(`Daily transaction quota of ${limits.dailyTransactions} reached for ${subject}.`, secondsUntilNextDay());
+    }
+    if (limits.dailyRecipients && day.recipients + usage.recipients > limits.dailyRecipients) {
+        throw limitError(`Daily recipient quota of ${limits.dailyRecipients} reached for ${subject}.`, secondsUntilNextDay());
+    }
+    Object.entries(usage.amounts).forEach(([token, amount]) => {
+        const quota = limits.dailyAmounts[token];
+        if (quota !== undefined && new BigNumber(day.amounts[token] || 0).plus(amount).isGreaterThan(quota)) {
+            throw limitError(`Daily ${token} amount quota of ${quota} reached for ${subject}.`, secondsUntilNextDay());
+        }
+    });
+};
+
+/**
+ * Counts a request against the rate limits and daily quotas of its API key and sender wallet.
+ * Nothing is recorded unless every limit allows the request.
+ * @param {object} apiKey - The caller's API key (req.apiKey), may carry `limits` overrides.
+ * @param {string|null} walletAddress - The sender wallet, if known.
+ * @param {object|null} usage - { transactions, recipients, amounts: { token: amount } }, or null to only count the request.
+ * @returns {Array<object>} - A receipt of what was counted, to give it back with release().
+ * @throws {Error} - With `retryAfter` (seconds) when a limit is reached.
+ */
+const consume = (apiKey, walletAddress, usage = null) => {
+    const entries = resolveSubjects(apiKey, walletAddress).map(({ subject, limits }) => ({ subject, counter: getCounter(subject, limits) }));
+    // Non-positive usage is dropped: it must never lower what was consumed today
+    const normalized = usage && {
+        transactions: Math.max(Number(usage.transactions) || 0, 0),
+        recipients: Math.max(Number(usage.recipients) || 0, 0),
+        amounts: Object.fromEntries(Object.entries(usage.amounts || {})
+            .map(([token, amount]) => [token, new BigNumber(amount)])
+            .filter(([, amount]) => amount.isGreaterThan(0))),
+    };
+
+    entries.forEach(({ subject, counter }) => {
+        const { requestsPerMinute } = counter.limits;
+        if (requestsPerMinute && counter.window.count >= requestsPerMinute) {
+            const retryAfter = Math.ceil((counter.window.start + MINUTE_MS - Date.now()) / 1000);
+            throw limitError(`Rate limit of ${requestsPerMinute} requests per minute reached for ${subject}.`, retryAfter);
+        }
+        if (normalized) {
+            checkQuota(subject, counter, normalized);
+        }
+    });
+
+    entries.forEach(({ counter }) => {
+        counter.window.count++;
+        if (normalized) {
+            counter.day.transactions += normalized.transactions;
+            counter.day.recipients += normalized.recipients;
+            Object.entries(normalized.amounts).forEach(([token, amount]) => {
+                counter.day.amounts[token] = amount.plus(counter.day.amounts[token] || 0).toFixed();
+            });
+        }
+        storage.put('rateLimits', counter);
+    });
+
+    return entries.map(({ subject, counter }) => ({ subject, windowStart: counter.window.start, date: counter.day.date, usage: normalized }));
+};
+
+/**
+ * Gives back what consume() counted, for a request whose fee or operation failed without sending anything.
+ * Counters that have moved on to a new minute or day since are left as they are.
+ * @param {Array<object>} receipt - The receipt returned by consume().
+ */
+const release = (receipt) => {
+    receipt.forEach(({ subject, windowStart, date, usage }) => {
+        const counter = storage.get('rateLimits', subject);
+        if (!counter) {
+            return;
+        }
+        if (counter.window.start === windowStart) {
+            counter.window.count = Math.max(counter.window.count - 1, 0);
+        }
+        if (usage && counter.day.date === date) {
+            counter.day.transactions = Math.max(counter.day.transactions - usage.transactions, 0);
+            counter.day.recipients = Math.max(counter.day.recipients - usage.recipients, 0);
+            Object.entries(usage.amounts).forEach(([token, amount]) => {
+                counter.day.amounts[token] = BigNumber.max(new BigNumber(counter.day.amounts[token] || 0).minus(amount), 0).toFixed();
+            });
+        }
+        storage.put('rateLimits', counter);
+    });
+};
+
+/**
+ * Reports the current consumption of every API key and wallet seen today.
+ * @returns {object} - { date, defaults, keys, wallets }; each entry holds its limits, the requests of the
+ * current minute and today's transactions, recipients and amounts.
+ */
+const getConsumption = () => {
+    const today = currentDay();
+    const now = Date.now();
+    const report = { date: today, defaults: DEFAULT_LIMITS, keys: [], wallets: [] };
+
+    for (const counter of storage.list('rateLimits')) {
+        const [kind, id] = counter.subject.split(/:(.+)/);
+        const windowActive = counter.window.start + MINUTE_MS > now;
+        const day = counter.day.date === today ? counter.day : emptyDay();
+        const entry = {
+            [kind === 'key' ? 'keyId' : 'walletAddress']: id,
+            limits: counter.limits,
+            requestsThisMinute: windowActive ? counter.window.count : 0,
+            today: { transactions: day.transactions, recipients: day.recipients, amounts: day.amounts },
+        };
+        (kind === 'key' ? report.keys : report.wallets).push(entry);
+    }
+    return report;
+};
+
+module.exports = {
+    DEFAULT_LIMITS,
+    validateLimits,
+    consume,
+    release,
+    getConsumption,
+};
@@ -0,0 +1,206 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { Address } = require('@multiversx/sdk-core');
+const logger = require('./logger');
+const storage = require('./storage');
+const { ownsRecord } = require('./apiKeys');
+
+// NFT holder snapshots: the owners of a collection and how many of its tokens each one holds, built from
+// the paginated API listing and stored (in the `snapshots` collection) with the time it was taken, so a
+// reward distribution can reference it by ID instead of sending uniqueOwnerStats.
+const PAGE_SIZE = 100;
+// The API does not page past 10,000 results
+const MAX_PAGES = 100;
+const COLLECTION_PATTERN = /^[A-Z0-9]{3,10}-[0-9a-f]{6}$/;
+
+const parseAddresses = (value) => (value || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+
+// The zero address and the conventional "dead" address, plus any configured ones
+const BURN_ADDRESSES = new Set([
+    'erd1qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqq6gq4hu',
+    'erd1deaddeaddeaddeaddeaddeaddeaddeaddeaddeaddeaddeaddeaqtv0gag',
+    ...parseAddresses(process.env.SNAPSHOT_BURN_ADDRESSES),
+]);
+const MARKETPLACE_ADDRESSES = new Set(parseAddresses(process.env.SNAPSHOT_MARKETPLACE_ADDRESSES));
+
+const EXCLUSIONS = ['smartContracts', 'marketplaces', 'burn'];
+
+// The reason an owner is left out of the snapshot, or null to keep it
+const exclusionReason = (owner, exclude, blocklist) => {
+    if (blocklist.has(owner)) {
+        return 'blocklist';
+    }
+    if (exclude.burn && BURN_ADDRESSES.has(owner)) {
+        return 'burn';
+    }
+    if (exclude.marketplaces && MARKETPLACE_ADDRESSES.has(owner)) {
+        return 'marketplace';
+    }
+    if (exclude.smartContracts && new Address(owner).isSmartContract()) {
+        return 'smartContract';
+    }
+    return null;
+};
+
+// Every holding of a collection: { owner, nonce, balance } per owner and token
+const fetchHoldings = async (network, collection) => {
+    const holdings = [];
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const response = await axios.get(`${network.apiUrl}/collections/${collection}/accounts`, {
+            params: { from: page * PAGE_SIZE, size: PAGE_SIZE },
+            timeout: 15000,
+        });
+        const items = Array.isArray(response.data) ? response.data : [];
+        items.forEach(({ address, identifier, balance }) => {
+            const nonceHex = typeof identifier === 'string' ? identifier.slice(collection.length + 1) : '';
+            holdings.push({
+                owner: address,
+                nonce: nonceHex ? parseInt(nonceHex, 16) : null,
+                balance: Number(balance) || 1,
+            });
+        });
+
+        if (items.length < PAGE_SIZE) {
+            return holdings;
+        }
+    }
+    throw new Error(`${collection} has more than ${MAX_PAGES * PAGE_SIZE} holdings, more than the API can page through.`);
+};
+
+/**
+ * Reads the rarity rank and attributes of every NFT of a collection (for allocation weightings).
+ * @param {object} network - The network profile.
+ * @param {string} collection - The collection identifier.
+ * @returns {Promise<Map<number, object>>} - nonce -> { rank, attributes: [{ trait_type, value }] }.
+ * @throws {Error} - If the API cannot be read or the collection is too large to page through.
+ */
+const fetchTraits = async (network, collection) => {
+    const traits = new Map();
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const response = await axios.get(`${network.apiUrl}/collections/${collection}/nfts`, {
+            params: { from: page * PAGE_SIZE, size: PAGE_SIZE, fields: 'nonce,rank,metadata' },
+            timeout: 15000,
+        });
+        const items = Array.isArray(response.data) ? response.data : [];
+        items.forEach(({ nonce, rank, metadata }) => {
+            const attributes = metadata && Array.isArray(metadata.attributes) ? metadata.attributes : [];
+            traits.set(nonce, { rank: rank || null, attributes });
+        });
+
+        if (items.length < PAGE_SIZE) {
+            return traits;
+        }
+    }
+    throw new Error(`${collection} has more than ${MAX_PAGES * PAGE_SIZE} NFTs, more than the API can page through.`);
+};
+
+/**
+ * Takes and stores a holder snapshot of a collection.
+ * @param {object} options - { network (profile), collection, exclude: { smartContracts, marketplaces, burn }, blocklist, owner, apiKeyId }; owner and apiKeyId come from the caller's key.
+ * @returns {Promise<object>} - The snapshot: { id, network, collection, takenAt, holders: [{ owner, tokensCount, nonces }], excluded, ... }.
+ * @throws {Error} - If the options are invalid or the API cannot be read.
+ */
+const takeSnapshot = async ({ network, collection, exclude = {}, blocklist = [], owner, apiKeyId }) => {
+    if (typeof collection !== 'string' || !COLLECTION_PATTERN.test(collection)) {
+        throw new Error('collection must be a collection identifier such as NFT-abcdef.');
+    }
+    if (!exclude || typeof exclude !== 'object' || Array.isArray(exclude)) {
+        throw new Error(`exclude must be an object with any of: ${EXCLUSIONS.join(', ')}.`);
+    }
+    const unknown = Object.keys(exclude).filter(key => !EXCLUSIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown exclusion(s): ${unknown.join(', ')}. Use: ${EXCLUSIONS.join(', ')}.`);
+    }
+    if (!Array.isArray(blocklist) || blocklist.some(address => typeof address !== 'string' || !Address.isValid(address))) {
+        throw new Error('blocklist must be an array of erd1 addresses.');
+    }
+
+    const takenAt = new Date().toISOString();
+    const holdings = await fetchHoldings(network, collection);
+
+    // Group the holdings per owner
+    const owners = new Map();
+    holdings.forEach(({ owner, nonce, balance }) => {
+        if (!owners.has(owner)) {
+            owners.set(owner, { owner, tokensCount: 0, nonces: [] });
+        }
+        const holder = owners.get(owner);
+        holder.tokensCount += balance;
+        holder.nonces.push({ nonce, balance });
+    });
+
+    const exclusions = Object.fromEntries(EXCLUSIONS.map(key => [key, exclude[key] === true]));
+    const blocked = new Set(blocklist);
+    const holders = [];
+    const excluded = [];
+    owners.forEach(holder => {
+        const reason = exclusionReason(holder.owner, exclusions, blocked);
+        if (reason) {
+            excluded.push({ owner: holder.owner, tokensCount: holder.tokensCount, reason });
+        } else {
+            holders.push(holder);
+        }
+    });
+    holders.sort((a, b) => b.tokensCount - a.tokensCount || a.owner.localeCompare(b.owner));
+
+    const snapshot = storage.insert('snapshots', {
+        id: `snap_${crypto.randomBytes(12).toString('hex')}`,
+        owner,
+        apiKeyId,
+        network: network.name,
+        collection,
+        takenAt,
+        exclude: exclusions,
+        blocklist,
+        holdersCount: holders.length,
+        tokensCount: holders.reduce((sum, holder) => sum + holder.tokensCount, 0),
+        excludedCount: excluded.length,
+        holders,
+        excluded,
+    });
+    logger.info('Holder snapshot taken', { snapshotId: snapshot.id, collection, network: network.name, holders: holders.length, excluded: excluded.length });
+    return snapshot;
+};
+
+/**
+ * Loads a snapshot.
+ * @param {string} id - The snapshot ID.
+ * @param {string} [owner] - The caller's owner; snapshots of other owners are not found.
+ * @returns {object|null} - The snapshot, or null if it does not exist or is another owner's.
+ */
+const getSnapshot = (id, owner) => {
+    const snapshot = storage.get('snapshots', id);
+    return snapshot && ownsRecord(snapshot, owner) ? snapshot : null;
+};
+
+// A snapshot without its holder lists
+const toSummary = ({ holders, excluded, ...summary }) => summary;
+
+/**
+ * Lists snapshots (without their holders), newest first.
+ * @param {object} filters - { network, collection, owner }; all optional.
+ * @returns {Array<object>} - The snapshot summaries.
+ */
+const listSnapshots = ({ network, collection, owner } = {}) => storage.list('snapshots', { network, collection })
+    .filter(snapshot => ownsRecord(snapshot, owner))
+    .reverse()
+    .map(toSummary);
+
+/**
+ * The owner stats of a snapshot, in the uniqueOwnerStats format of the distribution route.
+ * @param {object} snapshot - The snapshot.
+ * @returns {Array<{owner: string, tokensCount: number}>} - One entry per holder.
+ */
+const toOwnerStats = (snapshot) => snapshot.holders.map(({ owner, tokensCount }) => ({ owner, tokensCount }));
+
+module.exports = {
+    takeSnapshot,
+    getSnapshot,
+    listSnapshots,
+    toSummary,
+    toOwnerStats,
+    fetchTraits,
+};
@@ -0,0 +1,167 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { jobEvents, summarizeJob } = require('./jobs');
+
+// Live transaction status stream. Status transitions observed while sending and polling are published
+// here and pushed to WebSocket clients subscribed to the transaction hash, its sender wallet or its job.
+const TRACKING_TTL_MS = 60 * 60 * 1000; // Forget a transaction an hour after its last transition
+const MAX_SUBSCRIPTIONS = 100; // Per connection
+
+// Emits 'status' with { txHash, status, sender, jobId, network, observedAt } on every transition
+const statusEvents = new EventEmitter();
+statusEvents.setMaxListeners(0);
+
+// txHash -> { status, sender, jobId, network, updatedAt }, used to fill in the sender and to drop repeats
+const tracked = new Map();
+
+setInterval(() => {
+    const cutoff = Date.now() - TRACKING_TTL_MS;
+    for (const [txHash, entry] of tracked) {
+        if (entry.updatedAt < cutoff) {
+            tracked.delete(txHash);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Publishes an observed transaction status. Repeated observations of the same status are ignored.
+ * @param {object} update - { txHash, status, sender, jobId, network }; only txHash and status are required.
+ */
+const publishStatus = ({ txHash, status, sender, jobId, network }) => {
+    if (!txHash) {
+        return;
+    }
+
+    const previous = tracked.get(txHash) || {};
+    const entry = {
+        status,
+        sender: sender || previous.sender || null,
+        jobId: jobId || previous.jobId || null,
+        network: network || previous.network || null,
+        updatedAt: Date.now(),
+    };
+    tracked.set(txHash, entry);
+
+    if (previous.status === status) {
+        return;
+    }
+    statusEvents.emit('status', {
+        txHash,
+        status,
+        sender: entry.sender,
+        jobId: entry.jobId,
+        network: entry.network,
+        observedAt: new Date(entry.updatedAt).toISOString(),
+    });
+};
+
+const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+// Apply a subscribe/unsubscribe message to the subscriptions of a connection. Jobs and wallets the
+// connection's key may not watch are reported as not found.
+const handleMessage = (socket, subscriptions, raw, canWatch) => {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        send(socket, { type: 'error', error: 'Messages must be JSON.' });
+        return;
+    }
+
+    const { action, txHash, jobId, wallet } = message || {};
+    const targets = [
+        txHash && `tx:${txHash}`,
+        jobId && `job:${jobId}`,
+        wallet && `wallet:${wallet}`,
+    ].filter(Boolean);
+
+    if (!['subscribe', 'unsubscribe'].includes(action) || targets.length === 0) {
+        send(socket, { type: 'error', error: 'Expected { "action": "subscribe" | "unsubscribe", "txHash" | "jobId" | "wallet": "..." }.' });
+        return;
+    }
+
+    if (action === 'subscribe') {
+        if (jobId && !canWatch({ jobId })) {
+            send(socket, { type: 'error', error: `Job ${jobId} not found.` });
+            return;
+        }
+        if (wallet && !canWatch({ wallet })) {
+            send(socket, { type: 'error', error: `Wallet ${wallet} not found.` });
+            return;
+        }
+        if (subscriptions.size + targets.length > MAX_SUBSCRIPTIONS) {
+            send(socket, { type: 'error', error: `A connection can hold at most ${MAX_SUBSCRIPTIONS} subscriptions.` });
+            return;
+        }
+        targets.forEach(target => subscriptions.add(target));
+    } else {
+        targets.forEach(target => subscriptions.delete(target));
+    }
+
+    send(socket, { type: action === 'subscribe' ? 'subscribed' : 'unsubscribed', txHash, jobId, wallet });
+
+    // Send the last known status straight away so a late subscriber does not wait for the next transition
+    if (action === 'subscribe' && txHash && tracked.has(txHash)) {
+        const entry = tracked.get(txHash);
+        send(socket, { type: 'transaction', txHash, status: entry.status, sender: entry.sender, jobId: entry.jobId, network: entry.network, observedAt: new Date(entry.updatedAt).toISOString() });
+    }
+};
+
+/**
+ * Attaches the `/ws` WebSocket endpoint to an HTTP server.
+ * @param {object} server - The HTTP server returned by app.listen.
+ * @param {function} authenticate - Receives the upgrade request and returns the API key of its bearer token, or null to refuse it.
+ * @param {function} canWatch - Receives the API key and { jobId } or { wallet }, and tells whether the key may subscribe to it.
+ * @returns {object} - The WebSocket server.
+ */
+const attachStatusStream = (server, authenticate, canWatch) => {
+    const wss = new WebSocket.Server({
+        server,
+        path: '/ws',
+        verifyClient: ({ req }, done) => {
+            req.apiKey = authenticate(req);
+            done(Boolean(req.apiKey), 401, 'Unauthorized');
+        },
+    });
+
+    wss.on('connection', (socket, req) => {
+        const { apiKey } = req;
+        const subscriptions = new Set();
+
+        const onStatus = (update) => {
+            const matches = subscriptions.has(`tx:${update.txHash}`)
+                || (update.sender && subscriptions.has(`wallet:${update.sender}`))
+                || (update.jobId && subscriptions.has(`job:${update.jobId}`));
+            if (matches) {
+                send(socket, { type: 'transaction', ...update });
+            }
+        };
+
+        const onJobUpdate = (job) => {
+            if (subscriptions.has(`job:${job.id}`)) {
+                send(socket, { type: 'job', jobId: job.id, status: job.status, progress: summarizeJob(job), error: job.error, updatedAt: job.updatedAt });
+            }
+        };
+
+        statusEvents.on('status', onStatus);
+        jobEvents.on('update', onJobUpdate);
+
+        socket.on('message', (raw) => handleMessage(socket, subscriptions, raw.toString(), (target) => canWatch(apiKey, target)));
+        socket.on('close', () => {
+            statusEvents.off('status', onStatus);
+            jobEvents.off('update', onJobUpdate);
+        });
+    });
+
+    return wss;
+};
+
+module.exports = {
+    statusEvents,
+    publishStatus,
+    attachStatusStream,
+};
@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Storage layer for whitelist entries, user activity, usage fees, jobs, price overrides, prepaid credits,
+// fee compensations, holder snapshots, idempotency keys and rate limit counters. STORAGE_BACKEND selects the
+// embedded SQLite database (`sqlite`, the default, in STORAGE_DB_PATH) or one JSON file per collection
+// (`json`, the original layout). Both adapters are synchronous, so a read-modify-write of a record cannot
+// interleave with another request.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'sqlite').toLowerCase();
+const rootDir = path.join(__dirname, '..');
+const dbFilePath = process.env.STORAGE_DB_PATH || path.join(rootDir, 'data.db');
+
+// Collection -> record key, SQLite table, JSON file and the fields lists can filter on (indexed in SQLite)
+const COLLECTIONS = {
+    whitelist: { key: 'walletAddress', table: 'whitelist', file: process.env.WHITELIST_FILE_PATH || path.join(rootDir, 'whitelist.json'), indexes: [] },
+    users: { key: 'id', table: 'user_activity', file: process.env.USERS_FILE_PATH || path.join(rootDir, 'users.json'), indexes: [] },
+    usageFees: { key: 'txHash', table: 'usage_fees', file: process.env.USAGE_FEES_FILE_PATH || path.join(rootDir, 'usage-fees.json'), indexes: ['walletAddress', 'status', 'network', 'createdAt'] },
+    jobs: { key: 'id', table: 'jobs', file: process.env.JOBS_FILE_PATH || path.join(rootDir, 'jobs.json'), indexes: ['walletAddress', 'status'] },
+    priceOverrides: { key: 'id', table: 'price_overrides', file: process.env.PRICE_OVERRIDES_FILE_PATH || path.join(rootDir, 'price-overrides.json'), indexes: ['network'] },
+    credits: { key: 'id', table: 'credits', file: process.env.CREDITS_FILE_PATH || path.join(rootDir, 'credits.json'), indexes: [] },
+    creditTopups: { key: 'reference', table: 'credit_topups', file: process.env.CREDIT_TOPUPS_FILE_PATH || path.join(rootDir, 'credit-topups.json'), indexes: ['walletAddress', 'status', 'network'] },
+    creditMovements: { key: 'id', table: 'credit_movements', file: process.env.CREDIT_MOVEMENTS_FILE_PATH || path.join(rootDir, 'credit-movements.json'), indexes: ['walletAddress', 'network', 'type', 'createdAt'] },
+    feeCompensations: { key: 'id', table: 'fee_compensations', file: process.env.FEE_COMPENSATIONS_FILE_PATH || path.join(rootDir, 'fee-compensations.json'), indexes: ['walletAddress', 'status', 'network'] },
+    snapshots: { key: 'id', table: 'snapshots', file: process.env.SNAPSHOTS_FILE_PATH || path.join(rootDir, 'snapshots.json'), indexes: ['network', 'collection'] },
+    idempotencyKeys: { key: 'key', table: 'idempotency_keys', file: process.env.IDEMPOTENCY_KEYS_FILE_PATH || path.join(rootDir, 'idempotency-keys.json'), indexes: ['status'] },
+    rateLimits: { key: 'subject', table: 'rate_limits', file: process.env.RATE_LIMITS_FILE_PATH || path.join(rootDir, 'rate-limits.json'), indexes: [] },
+};
+
+const getCollection = (name) => {
+    const collection = COLLECTIONS[name];
+    if (!collection) {
+        throw new Error(`Unknown storage collection: ${name}`);
+    }
+    return collection;
+};
+
+// Records of collections keyed by `id` get a generated one when inserted without it
+const withKey = (collection, record) => {
+    if (record[collection.key] !== undefined && record[collection.key] !== null) {
+        return record;
+    }
+    if (collection.key !== 'id') {
+        throw new Error(`${collection.key} is required.`);
+    }
+    return { id: crypto.randomBytes(12).toString('hex'), ...record };
+};
+
+// The filters of a list call that apply: [field, value] pairs, where value is a string to match or
+// { from, to } (from included, to excluded, either may be null). Empty values are ignored.
+const activeFilters = (collection, name, filters) => Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .filter(([, value]) => typeof value !== 'object' || value.from || value.to)
+    .map(([field, value]) => {
+        if (!collection.indexes.includes(field)) {
+            throw new Error(`${name} cannot be filtered on ${field}.`);
+        }
+        return [field, value];
+    });
+
+// --------------- JSON File Adapter --------------- //
+
+const createJsonAdapter = () => {
+    // One journal per open transaction: the raw content of each file it wrote, as it was before its first write
+    const journals = [];
+
+    const readRaw = (collection) => (fs.existsSync(collection.file) ? fs.readFileSync(collection.file, 'utf8') : null);
+
+    const read = (collection) => {
+        if (!fs.existsSync(collection.file)) {
+            return [];
+        }
+        const data = JSON.parse(fs.readFileSync(collection.file, 'utf8'));
+        return Array.isArray(data) ? data : [];
+    };
+
+    // Write to a temporary file and rename it, so a crash mid-write never leaves a truncated file
+    const write = (collection, records) => {
+        const pending = journals.filter(journal => !journal.has(collection));
+        if (pending.length > 0) {
+            const content = readRaw(collection);
+            pending.forEach(journal => journal.set(collection, content));
+        }
+        fs.writeFileSync(`${collection.file}.tmp`, JSON.stringify(records, null, 2));
+        fs.renameSync(`${collection.file}.tmp`, collection.file);
+    };
+
+    return {
+        backend: 'json',
+        list: (name, filters) => {
+            const collection = getCollection(name);
+            const conditions = activeFilters(collection, name, filters);
+            return read(collection).filter(record => conditions.every(([field, value]) => (typeof value === 'object'
+                ? (!value.from || record[field] >= value.from) && (!value.to || record[field] < value.to)
+                : record[field] === value)));
+        },
+        get: (name, id) => {
+            const collection = getCollection(name);
+            return read(collection).find(record => record[collection.key] === id) || null;
+        },
+        insert: (name, record) => {
+            const collection = getCollection(name);
+            const entry = withKey(collection, record);
+            const records = read(collection);
+            if (records.some(item => item[collection.key] === entry[collection.key])) {
+                throw new Error(`${name} record ${entry[collection.key]} already exists.`);
+            }
+            records.push(entry);
+            write(collection, records);
+            return entry;
+        },
+        put: (name, record) => {
+            const collection = getCollection(name);
+            const entry = withKey(collection, record);
+            const records = read(collection);
+            const index = records.findIndex(item => item[collection.key] === entry[collection.key]);
+            if (index === -1) {
+                records.push(entry);
+            } else {
+                records[index] = entry;
+            }
+            write(collection, records);
+            return entry;
+        },
+        update: (name, id, changes) => {
+            const collection = getCollection(name);
+            const records = read(collection);
+            const index = records.findIndex(item => item[collection.key] === id);
+            if (index === -1) {
+                return null;
+            }
+            records[index] = { ...records[index], ...changes, [collection.key]: id };
+            write(collection, records);
+            return records[index];
+        },
+        remove: (name, id) => {
+            const collection = getCollection(name);
+            const records = read(collection);
+            const remaining = records.filter(item => item[collection.key] !== id);
+            if (remaining.length === records.length) {
+                return false;
+            }
+            write(collection, remaining);
+            return true;
+        },
+        // Files cannot be replaced together: if `fn` throws, the files it wrote are restored as they were
+        transaction: (fn) => {
+            const journal = new Map();
+            journals.push(journal);
+            try {
+                return fn();
+            } catch (error) {
+                journal.forEach((content, collection) => {
+                    if (content === null) {
+                        fs.rmSync(collection.file, { force: true });
+                    } else {
+                        fs.writeFileSync(`${collection.file}.tmp`, content);
+                        fs.renameSync(`${collection.file}.tmp`, collection.file);
+                    }
+                });
+                throw error;
+            } finally {
+                journals.pop();
+            }
+        },
+        check: () => {
+            Object.values(COLLECTIONS).forEach(collection => {
+                if (fs.existsSync(collection.file)) {
+                    fs.accessSync(collection.file, fs.constants.R_OK | fs.constants.W_OK);
+                } else {
+                    fs.accessSync(path.dirname(collection.file), fs.constants.W_OK);
+                }
+            });
+        },
+    };
+};
+
+// --------------- SQLite Adapter --------------- //
+
+// Import whitelist.json and users.json into the database once. The files are left in place.
+const importJsonFiles = (db) => {
+    const applied = db.prepare('SELECT 1 FROM schema_migrations WHERE name = ?').get('import-json-files');
+    if (applied) {
+        return;
+    }
+
+    const importCollection = (name) => {
+        const collection = COLLECTIONS[name];
+        if (!fs.existsSync(collection.file)) {
+            return 0;
+        }
+        const records = JSON.parse(fs.readFileSync(collection.file, 'utf8'));
+        if (!Array.isArray(records)) {
+            return 0;
+        }
+        const insert = db.prepare(`INSERT OR IGNORE INTO ${collection.table} (id, data) VALUES (?, ?)`);
+        records.filter(record => record && typeof record === 'object').forEach(record => {
+            const entry = withKey(collection, record);
+            insert.run(String(entry[collection.key]), JSON.stringify(entry));
+        });
+        return records.length;
+    };
+
+    db.transaction(() => {
+        const whitelistCount = importCollection('whitelist');
+        const usersCount = importCollection('users');
+        db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)').run('import-json-files', new Date().toISOString());
+        logger.info('Imported JSON files into the database', { whitelist: whitelistCount, users: usersCount });
+    })();
+};
+
+// SQL expression of a record field; must match the one of its index for the index to be used
+const fieldExpression = (field) => `json_extract(data, '$.${field}')`;
+
+const createSqliteAdapter = () => {
+    // Required lazily so the JSON backend does not need the native module
+    const Database = require('better-sqlite3');
+    const db = new Database(dbFilePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+
+    db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+    Object.values(COLLECTIONS).forEach(({ table, indexes }) => {
+        db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+        // Expression indexes on the JSON fields lists filter on
+        indexes.forEach(field => {
+            db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${field} ON ${table} (${fieldExpression(field)})`);
+        });
+    });
+    importJsonFiles(db);
+
+    const statements = Object.fromEntries(Object.entries(COLLECTIONS).map(([name, { table }]) => [name, {
+        list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+        get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+        insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+        put: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+        remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    }]));
+
+    const getStatements = (name) => {
+        getCollection(name);
+        return statements[name];
+    };
+    const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+    // Filtered lists run in SQL; their statements are prepared once per combination of filters
+    const filteredStatements = new Map();
+    const listFiltered = (name, conditions) => {
+        const { table } = getCollection(name);
+        const clauses = [];
+        const params = [];
+        conditions.forEach(([field, value]) => {
+            if (typeof value !== 'object') {
+                clauses.push(`${fieldExpression(field)} = ?`);
+                params.push(value);
+                return;
+            }
+            if (value.from) {
+                clauses.push(`${fieldExpression(field)} >= ?`);
+                params.push(value.from);
+            }
+            if (value.to) {
+                clauses.push(`${fieldExpression(field)} < ?`);
+                params.push(value.to);
+            }
+        });
+        const sql = `SELECT data FROM ${table} WHERE ${clauses.join(' AND ')} ORDER BY rowid`;
+        if (!filteredStatements.has(sql)) {
+            filteredStatements.set(sql, db.prepare(sql));
+        }
+        return filteredStatements.get(sql).all(...params).map(parse);
+    };
+
+    const update = db.transaction((name, id, changes) => {
+        const collection = getCollection(name);
+        const current = parse(statements[name].get.get(String(id)));
+        if (!current) {
+            return null;
+        }
+        const entry = { ...current, ...changes, [collection.key]: id };
+        statements[name].put.run(String(id), JSON.stringify(entry));
+        return entry;
+    });
+
+    return {
+        backend: 'sqlite',
+        list: (name, filters) => {
+            const conditions = activeFilters(getCollection(name), name, filters);
+            return conditions.length > 0 ? listFiltered(name, conditions) : getStatements(name).list.all().map(parse);
+        },
+        get: (name, id) => parse(getStatements(name).get.get(String(id))),
+        insert: (name, record) => {
+            const collection = getCollection(name);
+            const entry = withKey(collection, record);
+            try {
+                statements[name].insert.run(String(entry[collection.key]), JSON.stringify(entry));
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                    throw new Error(`${name} record ${entry[collection.key]} already exists.`);
+                }
+                throw error;
+            }
+            return entry;
+        },
+        put: (name, record) => {
+            const collection = getCollection(name);
+            const entry = withKey(collection, record);
+            statements[name].put.run(String(entry[collection.key]), JSON.stringify(entry));
+            return entry;
+        },
+        update,
+        remove: (name, id) => getStatements(name).remove.run(String(id)).changes > 0,
+        transaction: (fn) => db.transaction(fn)(),
+        check: () => {
+            db.prepare('SELECT 1').get();
+        },
+    };
+};
+
+const createAdapter = () => {
+    if (STORAGE_BACKEND === 'json') {
+        return createJsonAdapter();
+    }
+    if (STORAGE_BACKEND === 'sqlite') {
+        return createSqliteAdapter();
+    }
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use "sqlite" or "json".`);
+};
+
+let adapter = null;
+
+// Open the backend on first use
+const getAdapter = () => {
+    if (!adapter) {
+        adapter = createAdapter();
+        logger.info('Storage backend ready', { backend: adapter.backend });
+    }
+    return adapter;
+};
+
+/**
+ * Lists the records of a collection, oldest first.
+ * @param {string} name - whitelist, users, usageFees, jobs, priceOverrides, credits, creditTopups, creditMovements,
+ * feeCompensations, snapshots, idempotencyKeys or rateLimits.
+ * @param {object} [filters] - Field -> value the records must have, or { from, to } for a range (from included,
+ * to excluded). Only the indexed fields of the collection (COLLECTIONS) can be filtered on; empty values are ignored.
+ * @returns {Array<object>} - The matching records.
+ * @throws {Error} - If a field is not indexed.
+ */
+const list = (name, filters = {}) => getAdapter().list(name, filters);
+
+/**
+ * Returns a record by key.
+ * @param {string} name - The collection.
+ * @param {string} id - The record key (walletAddress, id, txHash, token or reference).
+ * @returns {object|null} - The record, or null if unknown.
+ */
+const get = (name, id) => getAdapter().get(name, id);
+
+/**
+ * Inserts a record. Collections keyed by `id` generate one when it is missing.
+ * @param {string} name - The collection.
+ * @param {object} record - The record.
+ * @returns {object} - The stored record.
+ * @throws {Error} - If a record with the same key exists.
+ */
+const insert = (name, record) => getAdapter().insert(name, record);
+
+/**
+ * Inserts or replaces a record.
+ * @param {string} name - The collection.
+ * @param {object} record - The record.
+ * @returns {object} - The stored record.
+ */
+const put = (name, record) => getAdapter().put(name, record);
+
+/**
+ * Merges changes into a record.
+ * @param {string} name - The collection.
+ * @param {string} id - The record key.
+ * @param {object} changes - The fields to change.
+ * @returns {object|null} - The updated record, or null if unknown.
+ */
+const update = (name, id, changes) => getAdapter().update(name, id, changes);
+
+/**
+ * Deletes a record.
+ * @param {string} name - The collection.
+ * @param {string} id - The record key.
+ * @returns {boolean} - True if a record was deleted.
+ */
+const remove = (name, id) => getAdapter().remove(name, id);
+
+/**
+ * Runs `fn` as one unit: if it throws, none of its writes are kept. With the JSON backend a crash in the
+ * middle of `fn` can still leave part of its writes, the SQLite backend rolls them back.
+ * @param {Function} fn - Synchronous function making the writes.
+ * @returns {*} - What `fn` returns.
+ */
+const transaction = (fn) => getAdapter().transaction(fn);
+
+/**
+ * Throws if the backend is not usable (used by GET /ready).
+ */
+const check = () => getAdapter().check();
+
+module.exports = {
+    STORAGE_BACKEND,
+    list,
+    get,
+    insert,
+    put,
+    update,
+    remove,
+    transaction,
+    check,
+};
@@ -1,51 +1,25 @@
-const fs = require('fs/promises');
-const path = require('path');
 const Joi = require('joi');
-
-// File paths
-const whitelistFilePath = process.env.WHITELIST_FILE_PATH || path.join(__dirname, 'whitelist.json');
-const usersFilePath = process.env.USERS_FILE_PATH || path.join(__dirname, 'users.json');
-
-console.log("Loading whitelist.js from:", __filename);
-
-// Helper: Ensure file exists and initialize if missing
-const ensureFileExists = async (filePath, defaultContent = '[]') => {
-    try {
-        // Check if the file exists; do nothing if it does
-        const exists = await fs.access(filePath).then(() => true).catch(() => false);
-        if (!exists) {
-            await fs.writeFile(filePath, defaultContent, 'utf8');
-            console.log(`File ${filePath} initialized with default content.`);
-        }
-    } catch (error) {
-        console.error(`Error creating file ${filePath}:`, error.message);
-        throw error;
-    }
-};
-
-
-// Helper: Load data from a JSON file
-const loadFileData = async (filePath) => {
-    await ensureFileExists(filePath);
-    try {
-        const rawData = await fs.readFile(filePath, 'utf8');
-        const parsedData = JSON.parse(rawData);
-        return Array.isArray(parsedData) ? parsedData : []; // Always return an array
-    } catch (error) {
-        console.error(`Error reading file ${filePath}:`, error.message);
-        return [];
-    }
-};
-
-// Helper: Save data to a JSON file
-const saveFileData = async (filePath, data) => {
-    try {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error(`Error writing to file ${filePath}:`, error.message);
-        throw new Error(`Could not save data to file: ${filePath}`);
-    }
-};
+const logger = require('./logger');
+const storage = require('./storage');
+
+// Whitelist entries and user activity are kept in the `whitelist` and `users` storage collections (see utils/storage.js)
+
+// Whitelist tiers: `free` skips the usage fee, `discount` takes discountPercent off it and
+// `fixed` replaces it with fixedUsdFee. Entries without a tier are free.
+const WHITELIST_TIERS = ['free', 'discount', 'fixed'];
+
+// Routes an entry can be restricted to with `routes` (all of them when unset)
+const WHITELIST_ROUTES = [
+    'egldTransfer',
+    'esdtTransfer',
+    'metaEsdtTransfer',
+    'nftTransfer',
+    'sftTransfer',
+    'multiTransfer',
+    'bulkTransfer',
+    'freeNftMintAirdrop',
+    'distributeRewardsToNftOwners',
+];
 
 // Schema Validators
 const walletAddressSchema = Joi.string().pattern(/^erd[a-z0-9]{59}$/).required();
@@ -53,44 +27,87 @@ const whitelistEntrySchema = Joi.object({
     walletAddress: walletAddressSchema,
     label: Joi.string().min(3).required(),
     whitelistStart: Joi.date().iso().required(),
+    whitelistEnd: Joi.date().iso().greater(Joi.ref('whitelistStart')).allow(null),
+    tier: Joi.string().valid(...WHITELIST_TIERS).default('free'),
+    discountPercent: Joi.number().greater(0).max(100)
+        .when('tier', { is: 'discount', then: Joi.required(), otherwise: Joi.forbidden() }),
+    fixedUsdFee: Joi.number().min(0)
+        .when('tier', { is: 'fixed', then: Joi.required(), otherwise: Joi.forbidden() }),
+    routes: Joi.array().items(Joi.string().valid(...WHITELIST_ROUTES)).min(1).unique().allow(null),
 });
 
+// Validate an entry and return it with ISO dates (as stored)
+const normalizeEntry = (entry) => {
+    const { error, value } = whitelistEntrySchema.validate(entry);
+    if (error) throw new Error(error.details[0].message);
+
+    return {
+        ...value,
+        whitelistStart: value.whitelistStart.toISOString(),
+        whitelistEnd: value.whitelistEnd ? value.whitelistEnd.toISOString() : null,
+        routes: value.routes || null,
+    };
+};
+
+// Status of an entry at a given time: scheduled (not started yet), active or expired
+const getWhitelistStatus = (entry, now = Date.now()) => {
+    if (Date.parse(entry.whitelistStart) > now) {
+        return 'scheduled';
+    }
+    if (entry.whitelistEnd && Date.parse(entry.whitelistEnd) <= now) {
+        return 'expired';
+    }
+    return 'active';
+};
+
 // Load whitelist
 const loadWhitelist = async () => {
     try {
-        const whitelist = await loadFileData(whitelistFilePath);
-        console.log("Debug: Whitelist loaded", whitelist);
-        return Array.isArray(whitelist) ? whitelist : []; // Guarantee array
+        const whitelist = storage.list('whitelist');
+        logger.debug('Whitelist loaded', { entries: whitelist.length });
+        return whitelist;
     } catch (error) {
-        console.error('Error loading whitelist:', error.message);
+        logger.error('Error loading whitelist', { error: error.message });
         return [];
     }
 };
 
-// Save whitelist
-const saveWhitelist = async (whitelist) => {
-    try {
-        await saveFileData(whitelistFilePath, whitelist);
-    } catch (error) {
-        console.error('Error saving whitelist:', error.message);
-        throw error;
-    }
+// List the whitelist with the current status of every entry
+const listWhitelist = async () => {
+    const now = Date.now();
+    const whitelist = await loadWhitelist();
+    return whitelist.map(entry => ({ ...entry, tier: entry.tier || 'free', status: getWhitelistStatus(entry, now) }));
 };
 
 // Add a wallet to the whitelist
-const addToWhitelist = async (walletAddress, label, whitelistStart) => {
-    const { error } = whitelistEntrySchema.validate({ walletAddress, label, whitelistStart });
-    if (error) throw new Error(error.details[0].message);
+const addToWhitelist = async (entry) => {
+    const newEntry = normalizeEntry(entry);
 
-    const whitelist = await loadWhitelist();
-    if (whitelist.some(entry => entry.walletAddress === walletAddress)) {
-        throw new Error(`Wallet ${walletAddress} is already whitelisted.`);
+    if (storage.get('whitelist', newEntry.walletAddress)) {
+        throw new Error(`Wallet ${newEntry.walletAddress} is already whitelisted.`);
     }
 
-    const newEntry = { walletAddress, label, whitelistStart };
-    whitelist.push(newEntry);
-    await saveWhitelist(whitelist);
-    return { message: `Wallet ${walletAddress} added to the whitelist.`, entry: newEntry };
+    storage.insert('whitelist', newEntry);
+    return { message: `Wallet ${newEntry.walletAddress} added to the whitelist.`, entry: newEntry };
+};
+
+// Update the label, dates, tier or routes of a whitelisted wallet. Changing the tier drops the
+// discountPercent / fixedUsdFee of the previous tier.
+const updateWhitelistEntry = async (walletAddress, changes) => {
+    const existing = storage.get('whitelist', walletAddress);
+    if (!existing) {
+        throw new Error(`Wallet ${walletAddress} is not in the whitelist.`);
+    }
+
+    const current = { ...existing };
+    if (changes.tier && changes.tier !== (current.tier || 'free')) {
+        delete current.discountPercent;
+        delete current.fixedUsdFee;
+    }
+
+    const updatedEntry = normalizeEntry({ ...current, ...changes, walletAddress });
+    storage.put('whitelist', updatedEntry);
+    return { message: `Wallet ${walletAddress} whitelist entry updated.`, entry: updatedEntry };
 };
 
 // Remove a wallet from the whitelist
@@ -98,26 +115,11 @@ const removeFromWhitelist = async (walletAddress) => {
     const { error } = walletAddressSchema.validate(walletAddress);
     if (error) throw new Error(error.details[0].message);
 
-    // Ensure loadWhitelist resolves properly
-    const whitelist = await loadWhitelist();
-
-    console.log("Loaded Whitelist (Type):", typeof whitelist);
-    console.log("Loaded Whitelist (Content):", whitelist);
-
-    // Safeguard: Ensure the loaded data is an array
-    if (!Array.isArray(whitelist)) {
-        console.error("Loaded whitelist is not an array.");
-        throw new Error("Whitelist data is invalid.");
-    }
-
-    const updatedWhitelist = whitelist.filter(entry => entry.walletAddress !== walletAddress);
-
-    if (whitelist.length === updatedWhitelist.length) {
+    if (!storage.remove('whitelist', walletAddress)) {
         throw new Error(`Wallet ${walletAddress} is not in the whitelist.`);
     }
 
-    await saveWhitelist(updatedWhitelist);
-    console.log(`Wallet ${walletAddress} removed successfully.`);
+    logger.info('Wallet removed from whitelist', { walletAddress });
     return { message: `Wallet ${walletAddress} removed from the whitelist.` };
 };
 
@@ -125,57 +127,71 @@ const removeFromWhitelist = async (walletAddress) => {
 // Load users
 const loadUsers = async () => {
     try {
-        return await loadFileData(usersFilePath);
+        return storage.list('users');
     } catch (error) {
-        console.error('Error loading users:', error.message);
+        logger.error('Error loading users', { error: error.message });
         return [];
     }
 };
 
-// Save users
-const saveUsers = async (users) => {
-    try {
-        await saveFileData(usersFilePath, users);
-    } catch (error) {
-        console.error('Error saving users:', error.message);
-        throw error;
-    }
-};
-
-// Log user activity
-const logUserActivity = async (walletAddress) => {
+// Log user activity, with optional details (e.g. the API key used)
+const logUserActivity = async (walletAddress, details = {}) => {
     const { error } = walletAddressSchema.validate(walletAddress);
     if (error) throw new Error(error.details[0].message);
 
-    const users = await loadUsers();
     const currentDate = new Date().toISOString();
 
     // Add a new entry with the current timestamp
-    const newEntry = { walletAddress, authorizedAt: currentDate };
-    users.push(newEntry);
-
-    await saveUsers(users);
+    const newEntry = storage.insert('users', { walletAddress, authorizedAt: currentDate, ...details });
     return { message: `User activity logged for wallet ${walletAddress} at ${currentDate}.`, entry: newEntry };
 };
 
-// Check if a wallet is whitelisted
-const isWhitelisted = async (walletAddress) => {
+// Find the active whitelist entry of a wallet for a route (e.g. "/execute/egldTransfer"), or null
+const findWhitelistEntry = async (walletAddress, route) => {
     const { error } = walletAddressSchema.validate(walletAddress);
     if (error) {
         throw new Error(`Wallet address validation failed: ${error.details[0].message}`);
     }
 
-    const whitelist = await loadWhitelist();
-    return whitelist.some(entry => entry.walletAddress === walletAddress);
+    const routeName = route ? route.split('/').pop() : null;
+    const entry = storage.get('whitelist', walletAddress);
+    return entry
+        && getWhitelistStatus(entry) === 'active'
+        && (!entry.routes || !routeName || entry.routes.includes(routeName)) ? entry : null;
+};
+
+// Check if a wallet is whitelisted (actively, and for the route when one is given)
+const isWhitelisted = async (walletAddress, route) => {
+    return Boolean(await findWhitelistEntry(walletAddress, route));
+};
+
+// The usage fee in USD a whitelist entry pays instead of `baseUsdFee` (no entry pays the full fee)
+const getUsageFeeUsd = (entry, baseUsdFee) => {
+    if (!entry) {
+        return baseUsdFee;
+    }
+    switch (entry.tier || 'free') {
+        case 'discount':
+            return baseUsdFee * (100 - entry.discountPercent) / 100;
+        case 'fixed':
+            return entry.fixedUsdFee;
+        default:
+            return 0;
+    }
 };
 
 module.exports = {
+    WHITELIST_TIERS,
+    WHITELIST_ROUTES,
+    getWhitelistStatus,
     loadWhitelist,
-    saveWhitelist,
+    listWhitelist,
     addToWhitelist,
+    updateWhitelistEntry,
     removeFromWhitelist,
     loadUsers,
-    saveUsers,
     logUserActivity,
+    findWhitelistEntry,
     isWhitelisted,
+    getUsageFeeUsd,
 };